@@ -1,14 +1,40 @@
 // Imports from SillyTavern global scope
-import { extension_settings, getContext, setExtensionPrompt, getApiUrl, loadExtensionSettings, saveExtensionSettings, doExtrasFetch, renderExtensionTemplateAsync } from '../../extensions.js';
-import { debounce, getStringHash } from '../../utils.js'; // Assuming utils are available
-import { eventSource, event_types, saveSettingsDebounced, substituteParamsExtended, extension_prompt_types, extension_prompt_roles, is_send_press, generateQuietPrompt } from '../../../script.js';
+import { extension_settings, getContext, setExtensionPrompt, getApiUrl, loadExtensionSettings, saveExtensionSettings, doExtrasFetch, renderExtensionTemplateAsync, saveMetadataDebounced } from '../../extensions.js';
+import { debounce, getStringHash, download, isTrueBoolean, regexFromString } from '../../utils.js'; // Assuming utils are available
+import { getTokenCountAsync } from '../../tokenizers.js';
+import { SlashCommandParser } from '../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../slash-commands/SlashCommandArgument.js';
+import { MacrosParser } from '../../macros.js';
+import { loadWorldInfo, saveWorldInfo, createWorldInfoEntry, createNewWorldInfo, world_names, METADATA_KEY } from '../../world-info.js';
+import { eventSource, event_types, saveSettingsDebounced, substituteParamsExtended, extension_prompt_types, extension_prompt_roles, is_send_press, generateQuietPrompt, getMaxContextSize, chat_metadata, getCurrentChatId, stopGeneration, characters, this_chid, saveMetadata } from '../../../script.js';
 
 // --- IndexedDB Setup ---
 const DB_NAME = 'HistorySummarizerDB';
 const STORE_NAME = 'blockSummaryCache';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 let dbPromise = null;
 
+// v2 records: { hash, summary, createdAt, lastUsedAt, chatIds, character, backend, summarySize, size, versions, locked }
+// chatIds lists every chat that used the entry (multiEntry index), so entries can be listed and removed per chat.
+// versions holds earlier generated/edited texts ({ summary, source, createdAt }), newest last.
+// structured holds the structured-mode data of a block summary, null when it was made in plain mode.
+// chainContext is the hash of the preceding summaries a chained summary was made from, null when there were none.
+function withRecordDefaults(record, now) {
+    return {
+        createdAt: now,
+        lastUsedAt: now,
+        chatIds: [],
+        character: null,
+        backend: null,
+        summarySize: null,
+        size: record.summary ? record.summary.length : 0,
+        versions: [],
+        locked: false,
+        ...record,
+    };
+}
+
 function openDB() {
     if (dbPromise) return dbPromise;
 
@@ -26,18 +52,38 @@ function openDB() {
         };
 
         request.onupgradeneeded = (event) => {
-            log('IndexedDB upgrade needed.');
+            log(`IndexedDB upgrade needed (v${event.oldVersion} -> v${DB_VERSION}).`);
             const db = event.target.result;
+            let store;
             if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+                store = db.createObjectStore(STORE_NAME, { keyPath: 'hash' });
                 log(`Object store "${STORE_NAME}" created.`);
+            } else {
+                store = event.target.transaction.objectStore(STORE_NAME);
+            }
+            if (!store.indexNames.contains('chatIds')) {
+                store.createIndex('chatIds', 'chatIds', { multiEntry: true });
+            }
+            if (!store.indexNames.contains('lastUsedAt')) {
+                store.createIndex('lastUsedAt', 'lastUsedAt');
+            }
+            if (event.oldVersion === 1) {
+                // v1 records only hold { hash, summary }; their origin is unknown
+                const now = Date.now();
+                store.openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    cursor.update(withRecordDefaults(cursor.value, now));
+                    cursor.continue();
+                };
+                log('Migrated cache entries to v2.');
             }
         };
     });
     return dbPromise;
 }
 
-async function getItemFromDB(hash) {
+async function getRecordFromDB(hash) {
     try {
         const db = await openDB();
         return new Promise((resolve, reject) => {
@@ -51,7 +97,7 @@ async function getItemFromDB(hash) {
             };
 
             request.onsuccess = (event) => {
-                resolve(event.target.result ? event.target.result.summary : null);
+                resolve(event.target.result || null);
             };
         });
     } catch (error) {
@@ -60,13 +106,13 @@ async function getItemFromDB(hash) {
     }
 }
 
-async function setItemInDB(hash, summary) {
+async function putRecordInDB(record) {
     try {
         const db = await openDB();
         return new Promise((resolve, reject) => {
             const transaction = db.transaction(STORE_NAME, 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
-            const request = store.put({ hash: hash, summary: summary });
+            const request = store.put(record);
 
             request.onerror = (event) => {
                 console.error(`[${MODULE_NAME}] DB put error:`, event.target.error);
@@ -83,6 +129,151 @@ async function setItemInDB(hash, summary) {
     }
 }
 
+// Updates lastUsedAt (and adds the chat to chatIds) for a batch of entries in one transaction
+async function touchRecordsInDB(hashes, chatId, now) {
+    try {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            for (const hash of hashes) {
+                store.get(hash).onsuccess = (event) => {
+                    const record = event.target.result;
+                    if (!record) return;
+                    record.lastUsedAt = now;
+                    if (chatId && !record.chatIds.includes(chatId)) {
+                        record.chatIds.push(chatId);
+                    }
+                    store.put(record);
+                };
+            }
+
+            transaction.onerror = (event) => {
+                console.error(`[${MODULE_NAME}] DB touch error:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+        });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to update cache usage in DB:`, error);
+        return false; // Indicate failure
+    }
+}
+
+async function getAllRecordsFromDB() {
+    try {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.getAll();
+
+            request.onerror = (event) => {
+                console.error(`[${MODULE_NAME}] DB getAll error:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result || []);
+            };
+        });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to read entries from DB:`, error);
+        return [];
+    }
+}
+
+async function putRecordsInDB(records) {
+    try {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            for (const record of records) {
+                store.put(record);
+            }
+
+            transaction.onerror = (event) => {
+                console.error(`[${MODULE_NAME}] DB bulk put error:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+        });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to write entries to DB:`, error);
+        return false; // Indicate failure
+    }
+}
+
+async function deleteRecordsFromDB(hashes) {
+    try {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            for (const hash of hashes) {
+                store.delete(hash);
+            }
+
+            transaction.onerror = (event) => {
+                console.error(`[${MODULE_NAME}] DB delete error:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+        });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to delete entries from DB:`, error);
+        return false; // Indicate failure
+    }
+}
+
+// Drops a chat from every entry it used. Entries no other chat uses are deleted,
+// entries shared with other chats (e.g. branches) are kept for them.
+async function removeChatFromDB(chatId) {
+    try {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const removed = [];
+            store.index('chatIds').openCursor(IDBKeyRange.only(chatId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const record = cursor.value;
+                record.chatIds = record.chatIds.filter(id => id !== chatId);
+                if (record.chatIds.length === 0) {
+                    cursor.delete();
+                    removed.push(record.hash);
+                } else {
+                    cursor.update(record);
+                }
+                cursor.continue();
+            };
+
+            transaction.onerror = (event) => {
+                console.error(`[${MODULE_NAME}] DB chat removal error:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(removed);
+            };
+        });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to remove chat entries from DB:`, error);
+        return null;
+    }
+}
+
 async function clearDBStore() {
     try {
         const db = await openDB();
@@ -122,241 +313,2237 @@ async function digestMessage(message) {
 const MODULE_NAME = 'history-summarizer'; // Unique name for the extension
 let blockCache = new Map(); // In-memory cache (still useful for session speed)
 let inApiCall = false;
-let lastMessageCount = 0;
+let pendingForce = false; // A forced run was requested by a scheduled check
+let rerunRequested = false; // Something changed while a run was in progress
+let summaryAbortController = null; // Aborts the running summarization job
+let activeRun = null; // Settles when the running summarization is done, see interceptGeneration
+let summarizationScheduled = false; // A debounced check is waiting to run
+let draftedMember = null; // Avatar of the group member about to speak, see onGroupMemberDrafted
+let injectionId = 0; // Counts injections, see injectSummary
+// Blocks of the last blocking pass, reused while their messages are untouched
+let blockIndex = { chatId: null, settingsKey: '', blocks: [] };
+const blockHashMemo = new Map(); // Block content string -> SHA-256, so unchanged blocks are never rehashed
+const BLOCK_HASH_MEMO_LIMIT = 1000;
 let currentPreviewState = {
     blockIndex: 0,
     totalBlocks: 0,
     currentBlockHash: null,
     allBlocks: [],
 };
-let lastSummaryContent = '';
 
-// Default settings (same as before)
-const defaultSettings = {
-    enabled: true,
-    apiUrl: '',
-    blockSize: 1000,
-    summarySize: 150,
-    triggerThreshold: 10,
-    promptTemplate: `[This is a summary of earlier conversation blocks:\n{{summary_content}}\nEnd of Summary]`,
-    position: extension_prompt_types.AFTER_SYSTEM,
-    depth: 5,
-    role: extension_prompt_roles.SYSTEM,
-    scan: false,
-};
+// Default settings (same as before)
+const defaultSettings = {
+    enabled: true,
+    apiUrl: '',
+    blockSize: 1000,
+    blockStrategy: 'chars',
+    blockTokens: 300,
+    blockMessages: 10,
+    sceneMarker: '/^\\s*(\\*\\*\\*|\\[Scene:[^\\]]*\\])/m',
+    splitLongMessages: false,
+    boundaryMode: 'anchored',
+    summarySize: 150,
+    triggerThreshold: 10,
+    interceptorMode: 'off',
+    interceptorTimeout: 30,
+    historyScope: 'all',
+    keepLastMessages: 20,
+    contextReserve: 1000,
+    backend: 'external',
+    apiAdapter: 'block',
+    apiKey: '',
+    apiKeyHeader: 'Authorization',
+    adapterModels: { openai: '', ollama: '', koboldcpp: '', custom: '' },
+    customRequestTemplate: `{\n  "model": "{{model}}",\n  "prompt": "{{prompt}}"\n}`,
+    customResponsePath: 'choices.0.text',
+    concurrency: 3,
+    requestTimeout: 60,
+    maxRetries: 3,
+    summaryPrompt: `Summarize the following part of a roleplay chat in about {{target_summary_size}} characters. Keep names, key events and important details. Reply with the summary only.\n\n{{block_content}}`,
+    structuredMode: false,
+    structuredPrompt: `Read the following part of a roleplay chat and reply with a JSON object only, no other text:
+{
+  "summary": "summary of the part in about {{target_summary_size}} characters",
+  "participants": ["names of the characters taking part"],
+  "events": ["key events, in order, one short sentence each"],
+  "state_changes": {
+    "items": { "item": "who holds it or what happened to it" },
+    "relationships": { "character - character": "how their relationship stands now" },
+    "locations": { "character": "where they are now" }
+  },
+  "open_threads": ["plot threads started or still unresolved"],
+  "resolved_threads": ["earlier plot threads resolved in this part"]
+}\n\n{{block_content}}`,
+    structuredTimelineLimit: 30,
+    chainedMode: false,
+    chainedCount: 1,
+    hierarchical: false,
+    hierarchyThreshold: 4000,
+    hierarchyGroupSize: 4,
+    recentBlocksToKeep: 3,
+    groupTracks: false,
+    groupPresenceWindow: 4,
+    promptTemplate: `[This is a summary of earlier conversation blocks:\n{{summary_content}}\nEnd of Summary]`,
+    position: extension_prompt_types.AFTER_SYSTEM,
+    depth: 5,
+    role: extension_prompt_roles.SYSTEM,
+    scan: false,
+    injectionMode: 'all',
+    relevanceScorer: 'keyword',
+    relevanceQueryMessages: 3,
+    relevanceBudget: 2000,
+    relevanceBudgetUnit: 'chars',
+    relevanceRecentCount: 2,
+    embeddingUrl: '',
+    embeddingModel: '',
+    embeddingApiKey: '',
+    wiSync: false,
+    wiTarget: 'chat',
+    wiBookName: '',
+    wiSource: 'blocks',
+    wiMaxKeywords: 8,
+    cacheMaxEntries: 0,
+    cacheMaxAgeDays: 0,
+    importMergeRule: 'keep-locked',
+    profiles: {}, // Named profiles: overrides of the settings above, see getSettings
+    characterProfiles: {}, // Profile name by character avatar or `group:<id>`
+};
+
+// Summary state kept per chat in chat metadata, so it follows the chat file across reloads, branches and clones
+const defaultChatState = {
+    summary: '', // Combined summary last injected for this chat
+    nodes: [], // { hash, summary } the combined summary is made of, in chronological order
+    lastMessageCount: 0, // Message count at the last summarization run
+    blocks: [], // { hash, start, end } for each block of the last run
+    boundaries: [], // Anchors of the messages that start a block (besides the first), see getMessageAnchors
+    boundaryBlockSize: null, // Blocking settings the boundaries were cut with, see getBlockingKey
+    obsolete: [], // Hashes of blocks whose messages were edited, deleted or swiped away
+    edits: {}, // Manual summary edits by block hash: { summary, editedAt, locked }
+    failed: [], // Hashes of blocks that failed to summarize in the last run
+    tracks: {}, // Group chats: per-member summaries by avatar, { name, summary, nodes }
+    profile: null, // Name of the settings profile bound to this chat
+    structured: null, // Running story state merged from structured block summaries, see mergeStructuredSummaries
+};
+
+// --- Helper Functions (Logging) ---
+function log(message) {
+    console.log(`[${MODULE_NAME}] ${message}`);
+}
+
+// --- Per-chat State ---
+function getChatState() {
+    if (!chat_metadata[MODULE_NAME]) {
+        chat_metadata[MODULE_NAME] = {};
+    }
+    const state = chat_metadata[MODULE_NAME];
+    for (const key of Object.keys(defaultChatState)) {
+        if (state[key] === undefined) {
+            state[key] = structuredClone(defaultChatState[key]);
+        }
+    }
+    return state;
+}
+
+function saveChatState() {
+    // Without an open chat there is no file to write the metadata to
+    if (!getCurrentChatId()) return;
+    saveMetadataDebounced();
+}
+
+function getEditedSummary(hash) {
+    const edit = getChatState().edits[hash];
+    return edit ? edit.summary : null;
+}
+
+// The summary a run can use for a block: the chat's edit, or a cache entry made in the current mode.
+// Structured mode needs the structured data on the entry, and the entry must have been made from the
+// same preceding summaries (chainContext). A locked entry is used as it is.
+async function getReusableSummary(hash, settings, sourceInfo, chainContext = null) {
+    const edited = getEditedSummary(hash);
+    if (edited !== null) return edited;
+    const record = await getRecordFromDB(hash);
+    if (!record) return null;
+    const sameMode = (!settings.structuredMode || !!record.structured) && (record.chainContext ?? null) === chainContext;
+    if (!sameMode && !record.locked) return null;
+    blockCache.set(hash, record.summary);
+    touchCacheEntry(hash, sourceInfo.chatId);
+    return record.summary;
+}
+
+// --- Settings Profiles ---
+// A profile overrides some of the global settings. It applies when bound to the open chat or, failing
+// that, to its character (or group). Everything reads settings through getSettings.
+// The cache settings act on the shared IndexedDB store, so they stay global.
+const PROFILE_EXCLUDED_KEYS = ['profiles', 'characterProfiles', 'cacheMaxEntries', 'cacheMaxAgeDays', 'importMergeRule'];
+
+function getProfileBindingKey() {
+    const context = getContext();
+    if (context.groupId) return `group:${context.groupId}`;
+    return characters[this_chid]?.avatar ?? null;
+}
+
+// { name, source: 'chat' | 'character' } of the profile in effect, or null for the global settings.
+// Bindings to a profile that was deleted since are ignored.
+function getActiveProfile() {
+    const base = extension_settings[MODULE_NAME];
+    const chatProfile = getCurrentChatId() ? chat_metadata[MODULE_NAME]?.profile : null;
+    if (chatProfile && base.profiles[chatProfile]) {
+        return { name: chatProfile, source: 'chat' };
+    }
+    const bindingKey = getProfileBindingKey();
+    const characterProfile = bindingKey ? base.characterProfiles[bindingKey] : null;
+    if (characterProfile && base.profiles[characterProfile]) {
+        return { name: characterProfile, source: 'character' };
+    }
+    return null;
+}
+
+// The effective settings: the globals with the active profile's overrides on top. This is a copy,
+// changes are saved through saveSettingValues.
+function getSettings() {
+    const base = extension_settings[MODULE_NAME];
+    const active = getActiveProfile();
+    return active ? { ...base, ...base.profiles[active.name] } : { ...base };
+}
+
+// Writes the fields that changed into the active profile, or into the globals when there is none
+function saveSettingValues(previous, values) {
+    const base = extension_settings[MODULE_NAME];
+    const active = getActiveProfile();
+    for (const key of Object.keys(defaultSettings)) {
+        if (JSON.stringify(values[key]) === JSON.stringify(previous[key])) continue;
+        const target = active && !PROFILE_EXCLUDED_KEYS.includes(key) ? base.profiles[active.name] : base;
+        target[key] = structuredClone(values[key]);
+    }
+}
+
+// Saves the current effective settings as a profile, replacing one of the same name
+function saveProfile(name) {
+    const settings = getSettings();
+    const profile = {};
+    for (const key of Object.keys(defaultSettings)) {
+        if (!PROFILE_EXCLUDED_KEYS.includes(key)) profile[key] = structuredClone(settings[key]);
+    }
+    extension_settings[MODULE_NAME].profiles[name] = profile;
+}
+
+function deleteProfile(name) {
+    const base = extension_settings[MODULE_NAME];
+    delete base.profiles[name];
+    for (const [key, profileName] of Object.entries(base.characterProfiles)) {
+        if (profileName === name) delete base.characterProfiles[key];
+    }
+    // Other chats keep their binding in their own metadata; getActiveProfile skips it there
+    if (getChatState().profile === name) {
+        getChatState().profile = null;
+        saveChatState();
+    }
+}
+
+// Copies a profile's values into the global settings. Returns the keys that changed, null when
+// there is no such profile.
+function loadProfileIntoGlobals(name) {
+    const base = extension_settings[MODULE_NAME];
+    const profile = base.profiles[name];
+    if (!profile) return null;
+    const changed = [];
+    for (const [key, value] of Object.entries(profile)) {
+        if (PROFILE_EXCLUDED_KEYS.includes(key) || JSON.stringify(value) === JSON.stringify(base[key])) continue;
+        base[key] = structuredClone(value);
+        changed.push(key);
+    }
+    return changed;
+}
+
+function bindChatProfile(name) {
+    if (!getCurrentChatId()) return false;
+    getChatState().profile = name || null;
+    saveChatState();
+    return true;
+}
+
+function bindCharacterProfile(name) {
+    const bindingKey = getProfileBindingKey();
+    if (!bindingKey) return false;
+    const base = extension_settings[MODULE_NAME];
+    if (name) {
+        base.characterProfiles[bindingKey] = name;
+    } else {
+        delete base.characterProfiles[bindingKey];
+    }
+    return true;
+}
+
+// Fields where the active profile differs from the global settings
+function getProfileOverrides() {
+    const active = getActiveProfile();
+    if (!active) return [];
+    const base = extension_settings[MODULE_NAME];
+    const profile = base.profiles[active.name];
+    return Object.keys(profile).filter(key => JSON.stringify(profile[key]) !== JSON.stringify(base[key]));
+}
+
+// Drops a field from the active profile, so the global value applies again
+function resetProfileOverride(key) {
+    const active = getActiveProfile();
+    if (!active) return;
+    delete extension_settings[MODULE_NAME].profiles[active.name][key];
+}
+
+// --- Cache Handling (Uses new DB functions) ---
+// chatId is the chat the entry is used for, a run passes the one it started in
+async function getSummaryFromCache(hash, chatId = getCurrentChatId()) {
+    // Check in-memory first
+    if (blockCache.has(hash)) {
+        touchCacheEntry(hash, chatId);
+        return blockCache.get(hash);
+    }
+    // Check IndexedDB
+    const record = await getRecordFromDB(hash);
+    if (record !== null) {
+        blockCache.set(hash, record.summary); // Populate in-memory cache
+        touchCacheEntry(hash, chatId);
+        return record.summary;
+    }
+    return null; // Not found anywhere
+}
+
+// Where a summary came from, for the cache panel and for spotting summaries made with other settings
+function getCurrentSourceInfo(settings = getSettings()) {
+    const context = getContext();
+    const group = context.groupId ? context.groups.find(g => g.id === context.groupId) : null;
+    return {
+        chatId: getCurrentChatId() || null,
+        character: group ? group.name : (context.name2 || null),
+        backend: settings.backend === 'builtin' ? 'builtin' : settings.apiAdapter,
+        summarySize: settings.summarySize,
+    };
+}
+
+const MAX_SUMMARY_VERSIONS = 20;
+
+// `source` is recorded in the version history: 'generated', 'edited' or 'reverted'.
+// A run passes the sourceInfo it started with, so entries saved after a chat switch still go to its chat.
+// Generated summaries never replace a locked entry; returns false when the save was refused.
+async function saveSummaryToCache(hash, summary, { source = 'generated', sourceInfo = getCurrentSourceInfo(), ...overrides } = {}) {
+    const now = Date.now();
+    const { chatId, ...info } = sourceInfo;
+    const existing = await getRecordFromDB(hash);
+    if (existing?.locked && source === 'generated') {
+        log(`Summary ${hash.substring(0, 8)} is locked, not replacing it.`);
+        return false;
+    }
+    blockCache.set(hash, summary); // Update in-memory cache
+    const record = withRecordDefaults(existing || { hash, character: info.character }, now);
+    if (chatId && !record.chatIds.includes(chatId)) {
+        record.chatIds.push(chatId);
+    }
+    if (existing && record.versions.length === 0) {
+        // Entries from before versioning start their history with the text they already had
+        record.versions.push({ summary: existing.summary, source: existing.backend === 'manual' ? 'edited' : 'generated', createdAt: record.createdAt });
+    }
+    record.versions.push({ summary, source, createdAt: now });
+    record.versions = record.versions.slice(-MAX_SUMMARY_VERSIONS);
+    Object.assign(record, { summary, lastUsedAt: now, size: summary.length, backend: info.backend, summarySize: info.summarySize }, overrides);
+    await putRecordInDB(record); // Save to IndexedDB
+    return true;
+}
+
+// Manual edits go to the cache (as a new version) and to the chat, so they survive cache clears
+// and travel with the chat file
+async function saveManualEdit(hash, summary) {
+    await saveSummaryToCache(hash, summary, { source: 'edited', backend: 'manual' });
+    const state = getChatState();
+    state.edits[hash] = { summary, editedAt: Date.now(), locked: !!state.edits[hash]?.locked };
+    saveChatState();
+}
+
+// --- Summary Versions and Locks ---
+// A lock lives on the cache entry and on the chat's edit, so it holds even after the cache is cleared
+async function isSummaryLocked(hash) {
+    if (getChatState().edits[hash]?.locked) return true;
+    const record = await getRecordFromDB(hash);
+    return !!record?.locked;
+}
+
+async function setSummaryLocked(hash, locked) {
+    const record = await getRecordFromDB(hash);
+    if (record) {
+        record.locked = locked;
+        await putRecordInDB(record);
+    }
+    const state = getChatState();
+    if (state.edits[hash]) {
+        state.edits[hash].locked = locked;
+    } else if (locked && record) {
+        // Locking a generated summary pins it for this chat as well
+        state.edits[hash] = { summary: record.summary, editedAt: Date.now(), locked: true };
+    }
+    saveChatState();
+    log(`Summary ${hash.substring(0, 8)} ${locked ? 'locked' : 'unlocked'}.`);
+}
+
+async function getSummaryVersions(hash) {
+    const record = await getRecordFromDB(hash);
+    return record ? record.versions : [];
+}
+
+// Makes an earlier version current again. Going back to a generated text drops the chat's manual edit,
+// going back to an edited text makes it the chat's edit.
+async function revertSummaryVersion(hash, versionIndex) {
+    const versions = await getSummaryVersions(hash);
+    const version = versions[versionIndex];
+    if (!version) return false;
+    await saveSummaryToCache(hash, version.summary, { source: 'reverted' });
+    const state = getChatState();
+    const locked = !!state.edits[hash]?.locked;
+    if (version.source === 'generated' && !locked) {
+        delete state.edits[hash];
+    } else {
+        state.edits[hash] = { summary: version.summary, editedAt: Date.now(), locked };
+    }
+    saveChatState();
+    return true;
+}
+
+// Calls the API for a single block and makes the result its current summary
+// previousBlocks are the blocks before this one, for the chained context
+async function regenerateBlockSummary(block, previousBlocks = []) {
+    const settings = getSettings();
+    if (await isSummaryLocked(block.hash)) {
+        return { ok: false, reason: 'locked' };
+    }
+    log(`Regenerating summary for block ${block.hash.substring(0, 8)}...`);
+    const previousSummaries = [];
+    for (const previous of getChainedBlocks(previousBlocks, settings)) {
+        const summary = getEditedSummary(previous.hash) ?? await getSummaryFromCache(previous.hash);
+        if (summary !== null) previousSummaries.push(summary);
+    }
+    const { summary, structured } = await requestBlockSummary(block.details, settings, null, previousSummaries);
+    if (summary === null || summary.startsWith('[Error:')) {
+        return { ok: false, reason: summary || 'empty' };
+    }
+    const chainContext = await getChainContext(previousSummaries);
+    await saveSummaryToCache(block.hash, summary, { structured, chainContext });
+    const state = getChatState();
+    delete state.edits[block.hash];
+    saveChatState();
+    return { ok: true, summary };
+}
+
+// --- Block Status ---
+// Where a block's summary stands, for the timeline. "stale" means it was made by another backend,
+// for another target size or without the structured data the current settings ask for.
+async function getBlockStatus(block, settings) {
+    const state = getChatState();
+    const edit = state.edits[block.hash];
+    const record = await getRecordFromDB(block.hash);
+    const summary = edit?.summary ?? record?.summary ?? null;
+    const info = getCurrentSourceInfo(settings);
+    let status;
+    if (edit?.locked || record?.locked) {
+        status = 'locked';
+    } else if (edit || record?.backend === 'manual') {
+        status = 'edited';
+    } else if (record) {
+        const otherMode = settings.structuredMode && !record.structured;
+        status = record.backend !== info.backend || record.summarySize !== info.summarySize || otherMode ? 'stale' : 'cached';
+    } else {
+        status = state.failed.includes(block.hash) ? 'failed' : 'missing';
+    }
+    return { status, length: summary?.length ?? 0 };
+}
+
+// Cache hits update lastUsedAt in batches, so a run over hundreds of cached blocks is one write.
+// Pending hashes are kept per chat, the chat may change before the batch is written.
+const pendingTouches = new Map();
+let touchTimer = null;
+function touchCacheEntry(hash, chatId = getCurrentChatId()) {
+    const key = chatId || null;
+    if (!pendingTouches.has(key)) pendingTouches.set(key, new Set());
+    pendingTouches.get(key).add(hash);
+    if (touchTimer) return;
+    touchTimer = setTimeout(flushCacheTouches, 2000);
+}
+
+// Writes the pending batch right away; eviction has to see the entries the last run used as used
+async function flushCacheTouches() {
+    clearTimeout(touchTimer);
+    touchTimer = null;
+    const batches = [...pendingTouches];
+    pendingTouches.clear();
+    const now = Date.now();
+    for (const [chatId, hashes] of batches) {
+        await touchRecordsInDB([...hashes], chatId, now);
+    }
+}
+
+async function clearSummaryCache() {
+    log('Clearing cache...');
+    blockCache.clear(); // Clear in-memory cache
+    const success = await clearDBStore(); // Clear IndexedDB store
+    return success;
+}
+
+async function clearChatFromCache(chatId) {
+    log(`Removing cache entries for chat "${chatId}"...`);
+    const removed = await removeChatFromDB(chatId);
+    if (removed === null) return null;
+    removed.forEach(hash => blockCache.delete(hash));
+    return removed.length;
+}
+
+// Applies the optional age and size limits, least recently used entries go first
+async function evictCacheEntries() {
+    const settings = getSettings();
+    if (!settings.cacheMaxAgeDays && !settings.cacheMaxEntries) return 0;
+    await flushCacheTouches();
+    // Locked summaries are never evicted
+    const records = (await getAllRecordsFromDB()).filter(record => !record.locked);
+    const evicted = new Set();
+    if (settings.cacheMaxAgeDays > 0) {
+        const cutoff = Date.now() - settings.cacheMaxAgeDays * 24 * 60 * 60 * 1000;
+        records.filter(record => (record.lastUsedAt || 0) < cutoff).forEach(record => evicted.add(record.hash));
+    }
+    if (settings.cacheMaxEntries > 0) {
+        // Summaries of blocks that are gone from the open chat go before the least recently used ones
+        const obsolete = new Set(getChatState().obsolete);
+        const remaining = records
+            .filter(record => !evicted.has(record.hash))
+            .sort((a, b) => obsolete.has(b.hash) - obsolete.has(a.hash) || (a.lastUsedAt || 0) - (b.lastUsedAt || 0));
+        remaining.slice(0, Math.max(0, remaining.length - settings.cacheMaxEntries)).forEach(record => evicted.add(record.hash));
+    }
+    if (evicted.size === 0) return 0;
+    await deleteRecordsFromDB([...evicted]);
+    evicted.forEach(hash => blockCache.delete(hash));
+    log(`Evicted ${evicted.size} cache entries.`);
+    return evicted.size;
+}
+
+// Entry counts and approximate size, overall and per chat. obsolete counts the entries of blocks
+// that are gone from the open chat.
+async function getCacheStats() {
+    const records = await getAllRecordsFromDB();
+    const obsolete = new Set(getChatState().obsolete);
+    const stats = { entries: records.length, bytes: 0, obsolete: 0, chats: new Map() };
+    for (const record of records) {
+        const bytes = JSON.stringify(record).length * 2; // UTF-16
+        stats.bytes += bytes;
+        if (obsolete.has(record.hash)) stats.obsolete++;
+        const chatIds = record.chatIds.length > 0 ? record.chatIds : [null];
+        for (const chatId of chatIds) {
+            const chat = stats.chats.get(chatId) || { entries: 0, bytes: 0, character: record.character, lastUsedAt: 0 };
+            chat.entries++;
+            chat.bytes += bytes;
+            chat.lastUsedAt = Math.max(chat.lastUsedAt, record.lastUsedAt || 0);
+            stats.chats.set(chatId, chat);
+        }
+    }
+    return stats;
+}
+
+// --- Export / Import ---
+const BUNDLE_FORMAT = 'history-summarizer-blocks';
+const BUNDLE_VERSION = 1;
+
+// scope 'all' exports the whole cache, 'chat' the current chat's entries plus its edits and block boundaries
+async function buildExportBundle(scope) {
+    const records = await getAllRecordsFromDB();
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        scope: scope,
+        entries: records,
+    };
+    if (scope === 'chat') {
+        const chatId = getCurrentChatId();
+        const state = getChatState();
+        const chatHashes = new Set([...state.blocks.map(block => block.hash), ...Object.keys(state.edits)]);
+        bundle.chatId = chatId;
+        bundle.entries = records.filter(record => record.chatIds.includes(chatId) || chatHashes.has(record.hash));
+        bundle.chat = {
+            edits: state.edits,
+            boundaries: state.boundaries,
+            boundaryBlockSize: state.boundaryBlockSize,
+        };
+    }
+    return bundle;
+}
+
+function getRecordModifiedAt(record) {
+    const lastVersion = record.versions?.[record.versions.length - 1];
+    return lastVersion?.createdAt ?? record.createdAt ?? 0;
+}
+
+// Decides which side of a conflict wins:
+// keep-newest: most recently changed; keep-locked: a locked summary wins, otherwise newest;
+// keep-existing: never replace; overwrite: always take the imported one.
+function pickImported(existing, imported, rule, getModifiedAt) {
+    switch (rule) {
+        case 'overwrite':
+            return true;
+        case 'keep-existing':
+            return false;
+        case 'keep-locked':
+            if (!!existing.locked !== !!imported.locked) return !!imported.locked;
+            return getModifiedAt(imported) > getModifiedAt(existing);
+        case 'keep-newest':
+        default:
+            return getModifiedAt(imported) > getModifiedAt(existing);
+    }
+}
+
+function mergeVersions(a, b) {
+    const seen = new Set();
+    return [...a, ...b]
+        .filter(version => {
+            const key = `${version.createdAt}|${version.source}|${version.summary}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((x, y) => x.createdAt - y.createdAt)
+        .slice(-MAX_SUMMARY_VERSIONS);
+}
+
+// Merges a bundle into the cache (and, for chat bundles, into the open chat). Imported entries are
+// tagged with the open chat when the bundle is for a single chat, since chat ids differ between installs.
+async function importBundle(bundle, rule) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.entries)) {
+        throw new Error('Not a block summary bundle.');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is newer than this extension supports.`);
+    }
+    const now = Date.now();
+    const chatId = getCurrentChatId();
+    const result = { added: 0, updated: 0, skipped: 0, edits: 0 };
+    const toWrite = [];
+
+    for (const entry of bundle.entries) {
+        if (typeof entry?.hash !== 'string' || typeof entry.summary !== 'string') {
+            result.skipped++;
+            continue;
+        }
+        const imported = withRecordDefaults({ ...entry, chatIds: Array.isArray(entry.chatIds) ? [...entry.chatIds] : [] }, now);
+        if (bundle.scope === 'chat' && chatId && !imported.chatIds.includes(chatId)) {
+            imported.chatIds.push(chatId);
+        }
+        const existing = await getRecordFromDB(entry.hash);
+        if (!existing) {
+            toWrite.push(imported);
+            result.added++;
+            continue;
+        }
+        const base = withRecordDefaults(existing, now);
+        const winner = pickImported(base, imported, rule, getRecordModifiedAt) ? imported : base;
+        const loser = winner === imported ? base : imported;
+        const merged = {
+            ...winner,
+            chatIds: [...new Set([...base.chatIds, ...imported.chatIds])],
+            versions: mergeVersions(base.versions, imported.versions),
+            createdAt: Math.min(base.createdAt, imported.createdAt),
+            lastUsedAt: Math.max(base.lastUsedAt, imported.lastUsedAt),
+            locked: winner.locked || (rule === 'keep-locked' && loser.locked),
+        };
+        toWrite.push(merged);
+        if (winner === imported) result.updated++; else result.skipped++;
+    }
+
+    if (toWrite.length > 0 && !await putRecordsInDB(toWrite)) {
+        throw new Error('Failed to write imported entries.');
+    }
+    toWrite.forEach(record => blockCache.set(record.hash, record.summary));
+
+    if (bundle.scope === 'chat' && bundle.chat && chatId) {
+        const state = getChatState();
+        for (const [hash, edit] of Object.entries(bundle.chat.edits || {})) {
+            if (typeof edit?.summary !== 'string') continue;
+            const existing = state.edits[hash];
+            if (!existing || pickImported(existing, edit, rule, e => e.editedAt || 0)) {
+                state.edits[hash] = { summary: edit.summary, editedAt: edit.editedAt || now, locked: !!edit.locked };
+                result.edits++;
+            }
+        }
+        // Boundaries only help while the chat has none of its own
+        if (state.boundaries.length === 0 && Array.isArray(bundle.chat.boundaries)) {
+            state.boundaries = bundle.chat.boundaries;
+            state.boundaryBlockSize = bundle.chat.boundaryBlockSize ?? null;
+        }
+        saveChatState();
+    }
+    log(`Imported bundle: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped, ${result.edits} chat edits.`);
+    return result;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// --- Block Hashing (Uses Web Crypto) ---
+async function getBlockHash(blockDetails) {
+    const contentString = blockDetails.map(msg => `${msg.is_user ? 'U' : 'C'}:${msg.mes}`).join('|');
+    if (blockHashMemo.has(contentString)) {
+        return blockHashMemo.get(contentString);
+    }
+    const hash = await digestMessage(contentString); // Use Web Crypto SHA-256
+    if (blockHashMemo.size >= BLOCK_HASH_MEMO_LIMIT) {
+        blockHashMemo.clear();
+    }
+    blockHashMemo.set(contentString, hash);
+    return hash;
+}
+
+// How many of the preceding summaries each block request gets, 0 when chaining is off
+function getChainLength(settings) {
+    return settings.chainedMode ? Math.max(1, settings.chainedCount) : 0;
+}
+
+function getChainedBlocks(previousBlocks, settings) {
+    return previousBlocks.slice(previousBlocks.length - Math.min(getChainLength(settings), previousBlocks.length));
+}
+
+// A chained summary depends on the text of the summaries before it, so the entry records a hash of
+// them. Editing, regenerating or reverting an earlier summary changes it, and the later summaries are
+// made again on the next run, down the chain.
+async function getChainContext(previousSummaries) {
+    if (previousSummaries.length === 0) return null;
+    return await digestMessage(`chain|${formatPreviousSummaries(previousSummaries)}`);
+}
+
+
+// --- API Call ---
+function formatBlockContent(blockDetails) {
+    return blockDetails.map(msg => `${msg.name}: ${msg.mes}`).join('\n');
+}
+
+function formatPreviousSummaries(previousSummaries) {
+    return previousSummaries.join('\n\n');
+}
+
+function buildSummaryPrompt(blockDetails, settings, { structured = false, previousSummaries = [] } = {}) {
+    const blockContent = formatBlockContent(blockDetails);
+    let template = structured ? settings.structuredPrompt : settings.summaryPrompt;
+    if (previousSummaries.length > 0 && !template.includes('{{previous_summaries}}')) {
+        // Prompts written before chaining existed still get the context, ahead of the instructions
+        template = `Summaries of the preceding parts of the chat, for context:\n{{previous_summaries}}\n\n${template}`;
+    }
+    const previousContent = formatPreviousSummaries(previousSummaries);
+    // Function replacers so `$` sequences in chat text are not treated as patterns
+    return template
+        .replace(/{{previous_summaries}}/g, () => previousContent)
+        .replace(/{{block_content}}/g, () => blockContent)
+        .replace(/{{target_summary_size}}/g, () => String(settings.summarySize));
+}
+
+// options: { structured, previousSummaries }. With `structured`, the reply is the JSON text of a
+// structured summary (see parseStructuredSummary). previousSummaries are the chained context.
+async function callSummarizationApi(blockDetails, settings, signal = null, options = {}) {
+    if (signal?.aborted) {
+        return `[Error: Cancelled]`;
+    }
+    if (settings.backend === 'builtin') {
+        return await callBuiltinSummarizer(blockDetails, settings, signal, options);
+    }
+    return await callExternalApi(blockDetails, settings, signal, options);
+}
+
+// --- Request Retries ---
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+function getRetryDelay(attempt, response = null) {
+    // Respect Retry-After (in seconds) when the server sends one
+    const retryAfter = Number(response?.headers?.get('Retry-After'));
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, RETRY_MAX_DELAY);
+    }
+    const delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+    return Math.min(delay + Math.random() * RETRY_BASE_DELAY, RETRY_MAX_DELAY);
+}
+
+// fetch with a per-attempt timeout and exponential backoff for 429/5xx responses and timeouts.
+// Aborting `signal` cancels the request in flight and any pending retry.
+async function fetchWithRetry(url, options, settings, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+        const requestController = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            requestController.abort();
+        }, settings.requestTimeout * 1000);
+        const onAbort = () => requestController.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let response = null;
+        try {
+            response = await fetch(url, { ...options, signal: requestController.signal });
+        } catch (error) {
+            if (!timedOut || attempt >= settings.maxRetries) {
+                if (timedOut) {
+                    const timeoutError = new Error(`Request timed out after ${settings.requestTimeout}s`);
+                    timeoutError.name = 'TimeoutError';
+                    throw timeoutError;
+                }
+                throw error;
+            }
+            log(`Request timed out, retrying (${attempt + 1}/${settings.maxRetries})...`);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (response) {
+            if (!isRetryableStatus(response.status) || attempt >= settings.maxRetries) {
+                return response;
+            }
+            log(`API responded ${response.status}, retrying (${attempt + 1}/${settings.maxRetries})...`);
+        }
+        await sleep(getRetryDelay(attempt, response), signal);
+        if (signal?.aborted) {
+            throw new DOMException('Summarization cancelled', 'AbortError');
+        }
+    }
+}
+
+// --- API Adapters ---
+// Each adapter turns a block into a request body for its server and pulls the summary text back out of the response
+const API_ADAPTERS = {
+    block: {
+        urlHint: 'http://localhost:5001/summarize_block',
+        buildBody: (blockDetails, settings, model, { structured = false, previousSummaries = [] } = {}) => ({
+            block_content: formatBlockContent(blockDetails),
+            block_details: blockDetails,
+            target_summary_size: settings.summarySize,
+            // Servers that support it answer with a `structured` object next to (or instead of) `summary`
+            ...(structured && { structured: true }),
+            ...(previousSummaries.length > 0 && { previous_summaries: previousSummaries }),
+        }),
+        parseResponse: (result, settings, { structured = false } = {}) =>
+            structured && result.structured && typeof result.structured === 'object' ? JSON.stringify(result.structured) : result.summary,
+    },
+    openai: {
+        urlHint: 'http://localhost:5000/v1/chat/completions',
+        buildBody: (blockDetails, settings, model, options) => ({
+            model: model,
+            messages: [{ role: 'user', content: buildSummaryPrompt(blockDetails, settings, options) }],
+            stream: false,
+        }),
+        parseResponse: (result) => result.choices?.[0]?.message?.content,
+    },
+    ollama: {
+        urlHint: 'http://localhost:11434/api/generate',
+        buildBody: (blockDetails, settings, model, options) => ({
+            model: model,
+            prompt: buildSummaryPrompt(blockDetails, settings, options),
+            stream: false,
+        }),
+        parseResponse: (result) => result.response,
+    },
+    koboldcpp: {
+        urlHint: 'http://localhost:5001/api/v1/generate',
+        buildBody: (blockDetails, settings, model, options) => ({
+            prompt: buildSummaryPrompt(blockDetails, settings, options),
+            // summarySize is in characters; leave headroom since a token is usually several characters.
+            // The structured JSON carries lists and state besides the summary, so it gets more room.
+            max_length: Math.max(50, Math.ceil(settings.summarySize / 2) * (options?.structured ? 4 : 1)),
+        }),
+        parseResponse: (result) => result.results?.[0]?.text,
+    },
+    custom: {
+        urlHint: 'http://localhost:8080/your/endpoint',
+        buildBody: (blockDetails, settings, model, options) => {
+            const values = {
+                prompt: buildSummaryPrompt(blockDetails, settings, options),
+                block_content: formatBlockContent(blockDetails),
+                target_summary_size: String(settings.summarySize),
+                model: model,
+                previous_summaries: formatPreviousSummaries(options.previousSummaries ?? []),
+            };
+            // Placeholders sit inside JSON strings, so substitute JSON-escaped text without the surrounding quotes
+            const body = settings.customRequestTemplate.replace(/{{(\w+)}}/g, (match, key) =>
+                key in values ? JSON.stringify(values[key]).slice(1, -1) : match);
+            return JSON.parse(body);
+        },
+        parseResponse: (result, settings) => getValueByPath(result, settings.customResponsePath),
+    },
+};
+
+// Resolves paths like "choices.0.text" or "choices[0].text"
+function getValueByPath(object, path) {
+    return String(path || '')
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .filter(Boolean)
+        .reduce((value, key) => (value === null || value === undefined) ? undefined : value[key], object);
+}
+
+function getApiHeaders(settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+        const headerName = settings.apiKeyHeader || 'Authorization';
+        headers[headerName] = headerName.toLowerCase() === 'authorization' ? `Bearer ${settings.apiKey}` : settings.apiKey;
+    }
+    return headers;
+}
+
+async function callExternalApi(blockDetails, settings, signal = null, options = {}) {
+    if (!settings.apiUrl) {
+        log('Error: Summarization API URL is not set.');
+        return null;
+    }
+    const adapter = API_ADAPTERS[settings.apiAdapter] || API_ADAPTERS.block;
+    const model = settings.adapterModels[settings.apiAdapter] || '';
+    let payload;
+    try {
+        payload = adapter.buildBody(blockDetails, settings, model, options);
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to build request for adapter "${settings.apiAdapter}":`, error);
+        return `[Error: Invalid request template]`;
+    }
+    try {
+        log(`Sending block to API (${settings.apiAdapter}): ${JSON.stringify(payload).substring(0, 100)}...`);
+        const response = await fetchWithRetry(settings.apiUrl, {
+            method: 'POST',
+            headers: getApiHeaders(settings),
+            body: JSON.stringify(payload),
+        }, settings, signal);
+        if (!response.ok) {
+            const errorText = await response.text();
+            log(`Error calling summarization API: ${response.status} ${response.statusText} - ${errorText}`);
+            return `[Error: API response ${response.status}]`;
+        }
+        const result = await response.json();
+        const summary = adapter.parseResponse(result, settings, options);
+        if (summary !== undefined && summary !== null && typeof summary !== 'string') {
+            log(`API response field is not text: ${JSON.stringify(summary).substring(0, 100)}`);
+            return `[Error: Unexpected API response]`;
+        }
+        const trimmed = summary ? summary.trim() : '';
+        log(`Received summary from API: ${trimmed ? trimmed.substring(0, 100) : '[No summary]' }...`);
+        return trimmed || null;
+    } catch (error) {
+        if (signal?.aborted) {
+            log('API request cancelled.');
+            return `[Error: Cancelled]`;
+        }
+        console.error(`[${MODULE_NAME}] Network/fetch error calling API:`, error);
+        return error.name === 'TimeoutError' ? `[Error: Request timed out]` : `[Error: Network/Fetch failed]`;
+    }
+}
+
+// Summarizes a block through the user's current SillyTavern connection.
+// Quiet generations can't take an AbortSignal, cancelling stops the generation instead.
+async function callBuiltinSummarizer(blockDetails, settings, signal = null, options = {}) {
+    const prompt = buildSummaryPrompt(blockDetails, settings, options);
+    const onAbort = () => stopGeneration();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+        log(`Sending block to connected model: ${prompt.substring(0, 100)}...`);
+        const result = await generateQuietPrompt(prompt, false, true);
+        if (signal?.aborted) {
+            return `[Error: Cancelled]`;
+        }
+        const summary = result ? result.trim() : '';
+        log(`Received summary from connected model: ${summary ? summary.substring(0, 100) : '[No summary]'}...`);
+        return summary || null;
+    } catch (error) {
+        if (signal?.aborted) {
+            return `[Error: Cancelled]`;
+        }
+        console.error(`[${MODULE_NAME}] Error generating summary with connected model:`, error);
+        return `[Error: Built-in generation failed]`;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// --- Structured Summaries ---
+function toStringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : [];
+}
+
+function toStringMap(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key, item]) => key.trim() && (typeof item === 'string' || typeof item === 'number'))
+        .map(([key, item]) => [key.trim(), String(item).trim()]));
+}
+
+// Models like to wrap JSON in code fences or a sentence, so only the outermost braces are parsed.
+// Anything missing or of the wrong type becomes empty rather than failing the block.
+function parseStructuredSummary(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    const changes = data.state_changes && typeof data.state_changes === 'object' ? data.state_changes : {};
+    return {
+        summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+        participants: toStringList(data.participants),
+        events: toStringList(data.events),
+        state_changes: {
+            items: toStringMap(changes.items),
+            relationships: toStringMap(changes.relationships),
+            locations: toStringMap(changes.locations),
+        },
+        open_threads: toStringList(data.open_threads),
+        resolved_threads: toStringList(data.resolved_threads),
+    };
+}
+
+// Summarizes one block in the current mode. Returns { summary, structured }, where summary is null
+// or an `[Error: ...]` text when the block failed.
+async function requestBlockSummary(blockDetails, settings, signal = null, previousSummaries = []) {
+    const text = await callSummarizationApi(blockDetails, settings, signal, { structured: settings.structuredMode, previousSummaries });
+    if (!settings.structuredMode || text === null || text.startsWith('[Error:')) {
+        return { summary: text, structured: null };
+    }
+    const structured = parseStructuredSummary(text);
+    if (!structured) {
+        log(`Structured summary is not valid JSON: ${text.substring(0, 100)}...`);
+        return { summary: `[Error: Invalid structured summary]`, structured: null };
+    }
+    // The summary text is what hierarchy, relevance and World Info work with, so it can't be empty
+    const summary = structured.summary || structured.events.join(' ');
+    if (!summary) {
+        return { summary: null, structured: null };
+    }
+    return { summary, structured };
+}
+
+// Folds per-block structured summaries (oldest first) into the running story state: everyone seen so
+// far, the latest events, the latest value for each item, relationship and location, and the threads
+// no later block resolved
+function mergeStructuredSummaries(list, timelineLimit) {
+    const characters = new Map();
+    const timeline = [];
+    const state = { items: {}, relationships: {}, locations: {} };
+    const openThreads = new Map();
+    for (const structured of list) {
+        for (const name of structured.participants) {
+            if (!characters.has(name.toLowerCase())) characters.set(name.toLowerCase(), name);
+        }
+        timeline.push(...structured.events);
+        for (const key of Object.keys(state)) {
+            Object.assign(state[key], structured.state_changes[key]);
+        }
+        for (const thread of structured.resolved_threads) {
+            openThreads.delete(thread.toLowerCase());
+        }
+        for (const thread of structured.open_threads) {
+            openThreads.set(thread.toLowerCase(), thread);
+        }
+    }
+    return {
+        characters: [...characters.values()],
+        timeline: timelineLimit > 0 ? timeline.slice(-timelineLimit) : timeline,
+        state,
+        openThreads: [...openThreads.values()],
+    };
+}
+
+// Structured data lives on the cache entries, edits only replace the summary text
+async function buildStructuredState(blocks, failedBlocks) {
+    const settings = getSettings();
+    const list = [];
+    for (let i = 0; i < blocks.length; i++) {
+        if (failedBlocks[i]) continue;
+        const record = await getRecordFromDB(blocks[i].hash);
+        if (record?.structured) list.push(record.structured);
+    }
+    return list.length > 0 ? mergeStructuredSummaries(list, settings.structuredTimelineLimit) : null;
+}
+
+function formatStructuredState(structured) {
+    if (!structured) {
+        return { characters: '', timeline: '', openThreads: '', state: '' };
+    }
+    const labels = { items: 'Items', relationships: 'Relationships', locations: 'Locations' };
+    const state = Object.entries(labels)
+        .filter(([key]) => Object.keys(structured.state[key]).length > 0)
+        .map(([key, label]) => `${label}:\n${Object.entries(structured.state[key]).map(([name, value]) => `- ${name}: ${value}`).join('\n')}`)
+        .join('\n');
+    return {
+        characters: structured.characters.join(', '),
+        timeline: structured.timeline.map(event => `- ${event}`).join('\n'),
+        openThreads: structured.openThreads.map(thread => `- ${thread}`).join('\n'),
+        state,
+    };
+}
+
+// --- Blocking Strategies ---
+// Each strategy measures messages in its own unit against its own limit. Scene blocking has no size
+// limit, it cuts where a message matches the scene marker. getSplitLength is the length in
+// characters above which a message is cut into parts, when splitting long messages is on.
+const BLOCK_STRATEGIES = {
+    chars: {
+        name: 'By characters',
+        unit: 'chars',
+        getLimit: settings => settings.blockSize,
+        getKey: settings => settings.blockSize,
+        measure: async text => text.length,
+        getSplitLength: settings => settings.blockSize,
+    },
+    tokens: {
+        name: 'By tokens',
+        unit: 'tokens',
+        getLimit: settings => settings.blockTokens,
+        getKey: settings => settings.blockTokens,
+        measure: async text => await getTokenCountAsync(text),
+        // Characters per token vary with the text, so scale by this message's own ratio
+        getSplitLength: (settings, text, size) => size > 0 ? Math.max(1, Math.floor(text.length * settings.blockTokens / size)) : Infinity,
+    },
+    messages: {
+        name: 'By message count',
+        unit: 'messages',
+        getLimit: settings => settings.blockMessages,
+        getKey: settings => settings.blockMessages,
+        measure: async () => 1,
+        getSplitLength: settings => settings.blockSize,
+    },
+    scenes: {
+        name: 'By scene markers',
+        unit: 'chars',
+        getLimit: () => Infinity,
+        getKey: settings => settings.sceneMarker,
+        measure: async text => text.length,
+        getSplitLength: settings => settings.blockSize,
+    },
+};
+
+function getBlockStrategy(settings) {
+    return BLOCK_STRATEGIES[settings.blockStrategy] || BLOCK_STRATEGIES.chars;
+}
+
+// Identifies the settings that decide where blocks are cut. Character blocking without splitting
+// keeps the bare block size, which is what chats saved their boundaries with before there were strategies.
+function getBlockingKey(settings) {
+    if (settings.blockStrategy === 'chars' && !settings.splitLongMessages) {
+        return settings.blockSize;
+    }
+    const key = `${settings.blockStrategy}|${getBlockStrategy(settings).getKey(settings)}`;
+    return settings.splitLongMessages ? `${key}|split|${settings.blockSize}` : key;
+}
+
+// The marker is a regex when written as /pattern/flags, otherwise plain text to look for
+function getSceneMatcher(marker) {
+    const regex = regexFromString(marker || '');
+    if (regex) {
+        return text => {
+            regex.lastIndex = 0;
+            return regex.test(text);
+        };
+    }
+    const text = String(marker || '').trim();
+    return text ? (mes => mes.includes(text)) : () => false;
+}
+
+// Cuts text into parts of at most maxLength characters, preferring paragraph breaks, then sentence
+// ends, then spaces. Cuts in the first half of a part are passed over so parts don't get tiny.
+function splitMessageText(text, maxLength) {
+    const parts = [];
+    let rest = text.trim();
+    while (rest.length > maxLength) {
+        const head = rest.slice(0, maxLength + 1);
+        const minCut = Math.floor(maxLength / 2);
+        let cut = head.lastIndexOf('\n');
+        if (cut < minCut) cut = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? ')) + 1;
+        if (cut < minCut) cut = head.lastIndexOf(' ');
+        if (cut < minCut) cut = maxLength;
+        parts.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+}
+
+// --- Core Summarization Logic (Mostly unchanged, but uses async hash) ---
+// Identifies messages independently of their position, so boundaries survive edits and deletions
+// elsewhere in the chat. send_date only has minute resolution (and imported chats may share one),
+// so repeats of the same date and speaker are told apart by their occurrence count.
+function getMessageAnchors(chatHistory) {
+    const seen = new Map();
+    return chatHistory.map(message => {
+        const key = `${message.send_date ?? ''}|${message.name}`;
+        const occurrence = seen.get(key) ?? 0;
+        seen.set(key, occurrence + 1);
+        return `${key}|${occurrence}`;
+    });
+}
+
+// Messages keep their chat index in start/end so blocks can be traced back to the chat.
+// In anchored mode the boundaries saved for the chat are reused, and size-based cuts only happen
+// after the last saved boundary, so editing or deleting a message only changes the block it sits in.
+// keptBlocks are leading blocks known to be unchanged; blocking resumes right after them.
+async function generateBlocks(chatHistory, keptBlocks = []) {
+    const settings = getSettings();
+    const strategy = getBlockStrategy(settings);
+    const limit = strategy.getLimit(settings);
+    const isSceneBreak = settings.blockStrategy === 'scenes' ? getSceneMatcher(settings.sceneMarker) : () => false;
+    const blocks = [...keptBlocks];
+    let current = null;
+    const resumeIndex = keptBlocks.length > 0 ? keptBlocks[keptBlocks.length - 1].end + 1 : 0;
+
+    const state = getChatState();
+    const anchored = settings.boundaryMode === 'anchored';
+    const blockingKey = getBlockingKey(settings);
+    if (anchored && state.boundaryBlockSize !== blockingKey) {
+        // Boundaries cut with other blocking settings would never line up with the new ones
+        state.boundaries = [];
+        state.boundaryBlockSize = blockingKey;
+    }
+    const savedBoundaries = new Set(anchored ? state.boundaries : []);
+    const anchors = getMessageAnchors(chatHistory);
+    let lastBoundaryIndex = -1;
+    anchors.forEach((anchor, i) => {
+        if (savedBoundaries.has(anchor)) lastBoundaryIndex = i;
+    });
+
+    log(`Blocking ${chatHistory.length - resumeIndex} of ${chatHistory.length} messages. Strategy: ${settings.blockStrategy}, limit: ${limit} ${strategy.unit}. Boundaries: ${anchored ? `${savedBoundaries.size} saved` : 'greedy'}.`);
+
+    const pushCurrent = async () => {
+        const blockHash = await getBlockHash(current.details); // Await hash calculation
+        blocks.push({ hash: blockHash, ...current, strategy: settings.blockStrategy });
+        current = null;
+    };
+
+    for (let i = resumeIndex; i < chatHistory.length; i++) {
+        const message = chatHistory[i];
+        if (message.is_system || !message.mes) continue;
+
+        const size = await strategy.measure(message.mes);
+        const splitLength = settings.splitLongMessages ? strategy.getSplitLength(settings, message.mes, size) : Infinity;
+        const parts = message.mes.length > splitLength ? splitMessageText(message.mes, splitLength) : [message.mes];
+        const isSplit = parts.length > 1;
+
+        for (let part = 0; part < parts.length; part++) {
+            // Later parts of a split message get their own anchors, so their boundaries can be saved too
+            const anchor = part === 0 ? anchors[i] : `${anchors[i]}#${part}`;
+            const partSize = isSplit ? await strategy.measure(parts[part]) : size;
+            if (current) {
+                const isSavedBoundary = savedBoundaries.has(anchor);
+                const exceedsSize = i > lastBoundaryIndex && current.size + partSize > limit;
+                const isScene = part === 0 && isSceneBreak(message.mes);
+                // Every part of a split message starts a block, so a block holds at most one part
+                if (isSavedBoundary || exceedsSize || isScene || isSplit) {
+                    await pushCurrent();
+                }
+            }
+            if (!current) {
+                current = { details: [], start: i, end: i, anchor, sources: [], size: 0, split: false, continues: false };
+            }
+            current.details.push({ name: message.name, is_user: message.is_user, mes: parts[part] });
+            current.sources.push({ index: i, message, mes: message.mes });
+            current.end = i;
+            current.size += partSize;
+            current.split = current.split || isSplit;
+            current.continues = part < parts.length - 1;
+        }
+    }
+
+    if (current) {
+        await pushCurrent();
+    }
+
+    log(`Split history into ${blocks.length} blocks (${keptBlocks.length} reused).`);
+    return blocks;
+}
+
+// A block can be reused when every message in its range is the same object with the same text,
+// and the messages it skipped are still skipped (hidden or empty)
+function isBlockUnchanged(block, chatHistory) {
+    if (block.end >= chatHistory.length) return false;
+    let sourceIndex = 0;
+    for (let i = block.start; i <= block.end; i++) {
+        const message = chatHistory[i];
+        const source = block.sources[sourceIndex];
+        if (source && source.index === i) {
+            if (source.message !== message || message.is_system || message.mes !== source.mes) return false;
+            sourceIndex++;
+        } else if (!message.is_system && message.mes) {
+            return false;
+        }
+    }
+    return sourceIndex === block.sources.length;
+}
+
+// Incremental blocking: reuses the leading blocks that are still intact and only re-blocks (and
+// rehashes) from the first changed one. The last intact block is re-blocked too, since new
+// messages may still be added to it.
+async function getBlocks(chatHistory) {
+    const settings = getSettings();
+    const chatId = getCurrentChatId();
+    const settingsKey = `${getBlockingKey(settings)}|${settings.boundaryMode}`;
+    const sameIndex = blockIndex.chatId === chatId && blockIndex.settingsKey === settingsKey;
+    const previousBlocks = sameIndex ? blockIndex.blocks : [];
+
+    let keepCount = 0;
+    while (keepCount < previousBlocks.length && isBlockUnchanged(previousBlocks[keepCount], chatHistory)) {
+        keepCount++;
+    }
+    let reuseCount = Math.max(0, keepCount - 1);
+    // Blocking can't resume in the middle of a split message, so its earlier parts are re-blocked too
+    while (reuseCount > 0 && previousBlocks[reuseCount - 1].continues) {
+        reuseCount--;
+    }
+    const blocks = await generateBlocks(chatHistory, previousBlocks.slice(0, reuseCount));
+    blockIndex = { chatId, settingsKey, blocks };
+    return blocks;
+}
+
+// Blocks of the last run that are gone now, because their messages were edited, deleted or swiped
+// away, are obsolete for this chat. Their summaries are evicted first, see evictCacheEntries.
+function updateObsoleteHashes(state, blocks) {
+    const currentHashes = new Set(blocks.map(block => block.hash));
+    const obsolete = new Set(state.obsolete.filter(hash => !currentHashes.has(hash)));
+    for (const block of state.blocks) {
+        if (!currentHashes.has(block.hash)) obsolete.add(block.hash);
+    }
+    // Only the most recent ones matter for cleanup, don't let chat metadata grow without bound
+    state.obsolete = [...obsolete].slice(-500);
+}
+
+// Remembers where the blocks start so the next run cuts the chat the same way
+function saveBlockBoundaries(blocks) {
+    const settings = getSettings();
+    if (settings.boundaryMode !== 'anchored') return;
+    const state = getChatState();
+    state.boundaries = blocks.slice(1).map(block => block.anchor);
+    state.boundaryBlockSize = getBlockingKey(settings);
+}
+
+// --- Job Queue ---
+// Runs worker over items with at most `limit` in flight. Stops taking new items once signal aborts.
+async function runWithConcurrency(items, limit, worker, signal = null) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length && !signal?.aborted) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+function updateProgress(text) {
+    $('#histSumm_progress').text(text);
+}
+
+// Cache lookups first, then only the misses go through the job queue. Chained blocks can only be
+// looked up once the summaries before them are known, so they are looked up as the queue reaches them.
+async function summarizeAllBlocks(blocks, settings, sourceInfo, signal = null) {
+    const chainLength = getChainLength(settings);
+    const blockSummaries = new Array(blocks.length).fill(null);
+    const failedBlocks = new Array(blocks.length).fill(false);
+    const pending = [];
+    let hasError = false;
+    for (let i = 0; i < blocks.length; i++) {
+        const summary = chainLength > 0 ? null : await getReusableSummary(blocks[i].hash, settings, sourceInfo); // Await cache lookup
+        if (summary === null) {
+            pending.push(i);
+        } else {
+            blockSummaries[i] = summary;
+        }
+    }
+    if (chainLength === 0) {
+        log(`${blocks.length - pending.length}/${blocks.length} blocks cached, ${pending.length} to summarize.`);
+    }
+
+    let completed = blocks.length - pending.length;
+    updateProgress(`Block ${completed}/${blocks.length}`);
+    // SillyTavern runs one generation at a time, so the built-in backend can't go parallel.
+    // Chained blocks need the summaries before them, so they go one at a time, in order.
+    const concurrency = settings.backend === 'builtin' || chainLength > 0 ? 1 : Math.max(1, settings.concurrency);
+
+    await runWithConcurrency(pending, concurrency, async (i) => {
+        const chainStart = Math.max(0, i - chainLength);
+        const previousSummaries = blockSummaries.slice(chainStart, i).filter((summary, j) => !failedBlocks[chainStart + j]);
+        const chainContext = await getChainContext(previousSummaries);
+        let summary = chainLength > 0 ? await getReusableSummary(blocks[i].hash, settings, sourceInfo, chainContext) : null;
+        if (summary === null) {
+            log(`Cache miss for block ${i + 1}/${blocks.length}. Calling API...`);
+            const result = await requestBlockSummary(blocks[i].details, settings, signal, previousSummaries); // Await API call
+            summary = result.summary;
+            if (summary !== null && !summary.startsWith('[Error:')) {
+                await saveSummaryToCache(blocks[i].hash, summary, { structured: result.structured, chainContext, sourceInfo }); // Await cache save
+            } else {
+                log(`API call failed or returned null for block ${i + 1}`);
+                summary = summary || `[Summary generation failed for block ${i + 1}]`;
+                failedBlocks[i] = true;
+                hasError = true;
+            }
+        }
+        blockSummaries[i] = summary;
+        completed++;
+        updateProgress(`Block ${completed}/${blocks.length}`);
+    }, signal);
+
+    return { blockSummaries, failedBlocks, hasError, cancelled: !!signal?.aborted };
+}
+
+function cancelSummarization() {
+    if (!summaryAbortController) return;
+    log('Cancelling summarization...');
+    summaryAbortController.abort();
+    updateProgress('Cancelling...');
+}
+
+// --- Hierarchical Summarization ---
+// Summarizes a run of consecutive nodes into one node a level up. Cached in IndexedDB like blocks,
+// keyed by the level, the child hashes and the child summaries, so the same group is never summarized
+// twice and an edited, regenerated or reverted child summary gives the node a new key.
+async function summarizeNodeGroup(level, children, settings, sourceInfo, signal = null) {
+    const hash = await digestMessage(`L${level}|${children.map(child => child.hash).join('|')}|${children.map(child => child.summary).join('\n\n')}`);
+    let summary = await getSummaryFromCache(hash, sourceInfo.chatId);
+    if (summary !== null) {
+        log(`Cache hit for level ${level} node.`);
+        return { hash, level, summary, failed: false };
+    }
+    log(`Cache miss for level ${level} node (${children.length} children). Calling API...`);
+    const details = children.map((child, i) => ({ name: `Part ${i + 1}`, is_user: false, mes: child.summary }));
+    summary = await callSummarizationApi(details, settings, signal);
+    if (summary === null || summary.startsWith('[Error:')) {
+        log(`API call failed or returned null for level ${level} node`);
+        return { hash, level, summary, failed: true };
+    }
+    await saveSummaryToCache(hash, summary, { sourceInfo });
+    return { hash, level, summary, failed: false };
+}
+
+// Collapses older summaries into higher levels until the injected text fits hierarchyThreshold.
+// The most recent blocks are always kept as-is. Older nodes stay ordered from the highest level
+// down, so each pass merges the first full group at the lowest level, which keeps groups stable
+// (and cached) as the chat grows.
+async function buildSummaryHierarchy(blocks, blockSummaries, failedBlocks, settings, sourceInfo, signal = null) {
+    const groupSize = Math.max(2, settings.hierarchyGroupSize);
+    const nodes = blocks.map((block, i) => ({ hash: block.hash, level: 1, summary: blockSummaries[i], failed: failedBlocks[i] }));
+    const keepCount = Math.min(Math.max(0, settings.recentBlocksToKeep), nodes.length);
+    const recent = nodes.slice(nodes.length - keepCount);
+    const older = nodes.slice(0, nodes.length - keepCount);
+    const totalLength = () => [...older, ...recent].reduce((sum, node) => sum + node.summary.length, 0);
+    let hasError = false;
+
+    while (totalLength() > settings.hierarchyThreshold) {
+        const levels = [...new Set(older.map(node => node.level))].sort((a, b) => a - b);
+        const level = levels.find(lvl => older.filter(node => node.level === lvl).length >= groupSize);
+        if (level === undefined) break;
+
+        const start = older.findIndex(node => node.level === level);
+        const children = older.slice(start, start + groupSize);
+        // Never fold a failure placeholder into a cached higher-level summary
+        if (children.some(child => child.failed)) break;
+
+        updateProgress(`Level ${level + 1} summary...`);
+        const parent = await summarizeNodeGroup(level + 1, children, settings, sourceInfo, signal);
+        if (parent.failed) {
+            hasError = true;
+            break;
+        }
+        older.splice(start, groupSize, parent);
+    }
+
+    const result = [...older, ...recent];
+    log(`Hierarchy built: ${result.length} nodes, top level ${Math.max(1, ...result.map(node => node.level))}.`);
+    return { nodes: result, hasError };
+}
+
+// --- Relevance-based Injection ---
+// Picks the summaries that relate to the latest messages instead of injecting all of them.
+// The most recent summaries are always kept and the picked ones stay in chronological order.
+const STOPWORDS = new Set(('a an and are as at be but by for from had has have he her his i if in into is it its me my no not of on or our she so that the their them then there they this to was we were what when which who will with you your').split(' '));
+const embeddingCache = new Map(); // Text -> embedding vector, for the session
+
+function tokenizeForSearch(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// Okapi BM25 of every document against the query terms
+function scoreBm25(documents, query) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const docs = documents.map(tokenizeForSearch);
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, docs.length);
+    const documentFrequency = new Map();
+    for (const doc of docs) {
+        for (const term of new Set(doc)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+    return docs.map(doc => {
+        const termFrequency = new Map();
+        doc.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+        return queryTerms.reduce((score, term) => {
+            const tf = termFrequency.get(term) || 0;
+            if (tf === 0) return score;
+            const df = documentFrequency.get(term);
+            const idf = Math.log((docs.length - df + 0.5) / (df + 0.5) + 1);
+            return score + idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+        }, 0);
+    });
+}
+
+// Embeds texts through an OpenAI-compatible /v1/embeddings endpoint, reusing vectors from earlier turns
+async function getEmbeddings(texts, settings) {
+    const missing = [...new Set(texts.filter(text => !embeddingCache.has(text)))];
+    if (missing.length > 0) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.embeddingApiKey) {
+            headers.Authorization = `Bearer ${settings.embeddingApiKey}`;
+        }
+        const response = await fetchWithRetry(settings.embeddingUrl, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({ model: settings.embeddingModel, input: missing }),
+        }, settings);
+        if (!response.ok) {
+            throw new Error(`Embedding API response ${response.status}`);
+        }
+        const result = await response.json();
+        result.data.forEach((item, i) => embeddingCache.set(missing[item.index ?? i], item.embedding));
+    }
+    return texts.map(text => embeddingCache.get(text));
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+async function scoreSummaries(summaries, query, settings) {
+    if (settings.relevanceScorer === 'embeddings' && settings.embeddingUrl) {
+        try {
+            const [queryVector, ...vectors] = await getEmbeddings([query, ...summaries], settings);
+            return vectors.map(vector => cosineSimilarity(queryVector, vector));
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Embedding scoring failed, falling back to keywords:`, error);
+        }
+    }
+    return scoreBm25(summaries, query);
+}
+
+async function measureForBudget(text, settings) {
+    return settings.relevanceBudgetUnit === 'tokens' ? await getTokenCountAsync(text) : text.length;
+}
 
-// --- Helper Functions (Logging) ---
-function log(message) {
-    console.log(`[${MODULE_NAME}] ${message}`);
+async function selectRelevantSummaries(nodes, chat, settings) {
+    const query = chat
+        .filter(message => !message.is_system && message.mes)
+        .slice(-settings.relevanceQueryMessages)
+        .map(message => message.mes)
+        .join('\n');
+    const recentStart = Math.max(0, nodes.length - settings.relevanceRecentCount);
+    const selected = new Set();
+    let used = 0;
+    for (let i = recentStart; i < nodes.length; i++) {
+        selected.add(i);
+        used += await measureForBudget(nodes[i].summary, settings);
+    }
+
+    const olderCount = recentStart;
+    if (olderCount > 0 && query) {
+        const scores = await scoreSummaries(nodes.slice(0, olderCount).map(node => node.summary), query, settings);
+        const ranked = scores
+            .map((score, i) => ({ score, i }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score);
+        for (const { i } of ranked) {
+            const size = await measureForBudget(nodes[i].summary, settings);
+            if (used + size > settings.relevanceBudget) continue;
+            selected.add(i);
+            used += size;
+        }
+    }
+    log(`Relevance selection: ${selected.size}/${nodes.length} summaries, ${used} ${settings.relevanceBudgetUnit}.`);
+    return [...selected].sort((a, b) => a - b).map(i => nodes[i].summary);
 }
 
-// --- Cache Handling (Uses new DB functions) ---
-async function getSummaryFromCache(hash) {
-    // Check in-memory first
-    if (blockCache.has(hash)) {
-        return blockCache.get(hash);
+// Every injection goes through here: the summary of the injected track, or in relevance mode the
+// summaries selected for `chat`. The generate interceptor passes the chat as it will be sent, so the
+// selection includes the current turn. Only the latest call injects, a slower selection that was
+// started earlier (or for another chat) is dropped.
+async function injectSummary(chat = getContext().chat) {
+    const settings = getSettings();
+    const id = ++injectionId;
+    const track = getInjectedTrack();
+    if (settings.injectionMode !== 'relevant' || track.nodes.length === 0) {
+        updatePromptWithSummary(track.summary);
+        return;
     }
-    // Check IndexedDB
-    const summaryFromDB = await getItemFromDB(hash);
-    if (summaryFromDB !== null) {
-        blockCache.set(hash, summaryFromDB); // Populate in-memory cache
-        return summaryFromDB;
+    let text;
+    try {
+        text = (await selectRelevantSummaries(track.nodes, chat, settings)).join('\n\n');
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Relevance selection failed, injecting the full summary:`, error);
+        text = track.summary;
+    }
+    if (id === injectionId) {
+        updatePromptWithSummary(text);
     }
-    return null; // Not found anywhere
 }
 
-async function saveSummaryToCache(hash, summary) {
-    blockCache.set(hash, summary); // Update in-memory cache
-    await setItemInDB(hash, summary); // Save to IndexedDB
+// --- World Info Sync ---
+// Each summary becomes a lorebook entry whose comment carries a marker, so later runs update it in
+// place. Markers start with the chat id, since a character or named lorebook is shared by several
+// chats. Block entries are marked with the block's anchor, which stays the same when the summary is
+// edited or regenerated. Entries of this chat whose block or node no longer exists are removed.
+const WI_MARKER_PREFIX = 'histSumm:';
+
+function getWorldInfoMarker(id) {
+    return `[${WI_MARKER_PREFIX}${id}]`;
 }
 
-async function clearSummaryCache() {
-    log('Clearing cache...');
-    blockCache.clear(); // Clear in-memory cache
-    const success = await clearDBStore(); // Clear IndexedDB store
-    return success;
+// Brackets would end the marker early
+function getWorldInfoChatPrefix(chatId) {
+    return `chat:${String(chatId).replace(/[[\]]/g, '_')}|`;
 }
 
-// --- Block Hashing (Uses Web Crypto) ---
-async function getBlockHash(blockDetails) {
-    const contentString = blockDetails.map(msg => `${msg.is_user ? 'U' : 'C'}:${msg.mes}`).join('|');
-    return await digestMessage(contentString); // Use Web Crypto SHA-256
+// The most frequent capitalized terms that don't start a sentence. Speaker names are left out, they
+// are in nearly every block and would make the entry fire on every message.
+function extractKeywords(text, names, settings) {
+    const excluded = new Set(names.map(name => name.toLowerCase()));
+    const counts = new Map();
+    const pattern = /(?<![.!?]\s|^)\b(\p{Lu}[\p{L}'-]{2,}(?:\s+\p{Lu}[\p{L}'-]{2,})*)/gmu;
+    for (const match of String(text).matchAll(pattern)) {
+        const term = match[1];
+        if (STOPWORDS.has(term.toLowerCase()) || excluded.has(term.toLowerCase())) continue;
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    const terms = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([term]) => term);
+    return terms.slice(0, Math.max(1, settings.wiMaxKeywords));
 }
 
+async function getTargetWorldName() {
+    const settings = getSettings();
+    if (settings.wiTarget === 'character') {
+        return characters[this_chid]?.data?.extensions?.world || null;
+    }
+    if (settings.wiTarget === 'named') {
+        return world_names.includes(settings.wiBookName) ? settings.wiBookName : null;
+    }
+    // Chat lorebook: bind a new one to the chat when it has none yet
+    if (!chat_metadata[METADATA_KEY]) {
+        const chatId = getCurrentChatId();
+        if (!chatId) return null;
+        const name = `Block Summaries - ${chatId}`.replace(/[^\p{L}\p{N} _\-@.]+/gu, '_');
+        if (!world_names.includes(name)) {
+            await createNewWorldInfo(name);
+        }
+        chat_metadata[METADATA_KEY] = name;
+        await saveMetadata();
+        log(`Bound new chat lorebook "${name}".`);
+    }
+    return chat_metadata[METADATA_KEY];
+}
 
-// --- API Call (Unchanged, uses fetch) ---
-async function callSummarizationApi(blockDetails) {
-    const settings = extension_settings[MODULE_NAME];
-    if (!settings.apiUrl) {
-        log('Error: Summarization API URL is not set.');
-        return null;
+// items: { id, summary, keywords, secondaryKeywords }, ids are prefixed with the chat id here
+async function syncSummariesToWorldInfo(items) {
+    const chatPrefix = getWorldInfoChatPrefix(getCurrentChatId());
+    const worldName = await getTargetWorldName();
+    if (!worldName) {
+        toastr.warning('No lorebook to write block summaries to. Check the World Info settings of the summarizer.', 'Block Summaries');
+        return;
     }
-    const blockContent = blockDetails.map(msg => `${msg.name}: ${msg.mes}`).join('\n');
-    const payload = {
-        block_content: blockContent,
-        block_details: blockDetails,
-        target_summary_size: settings.summarySize
-    };
-    try {
-        log(`Sending block to API: ${JSON.stringify(payload).substring(0, 100)}...`);
-        const response = await fetch(settings.apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-        });
-        if (!response.ok) {
-            const errorText = await response.text();
-            log(`Error calling summarization API: ${response.status} ${response.statusText} - ${errorText}`);
-            return `[Error: API response ${response.status}]`;
+    const data = await loadWorldInfo(worldName);
+    if (!data) {
+        log(`Could not load lorebook "${worldName}".`);
+        return;
+    }
+    const existing = new Map();
+    for (const [uid, entry] of Object.entries(data.entries)) {
+        const match = String(entry.comment || '').match(/\[histSumm:([^\]]+)\]/);
+        // Entries of other chats are left alone
+        if (match && match[1].startsWith(chatPrefix)) existing.set(match[1], uid);
+    }
+
+    let created = 0, updated = 0, removed = 0;
+    const wanted = new Set(items.map(item => chatPrefix + item.id));
+    for (const item of items) {
+        const id = chatPrefix + item.id;
+        const uid = existing.get(id);
+        if (uid === undefined) {
+            const entry = createWorldInfoEntry(worldName, data);
+            if (!entry) continue;
+            entry.comment = `Block summary ${getWorldInfoMarker(id)}`;
+            entry.key = item.keywords;
+            entry.keysecondary = item.secondaryKeywords;
+            entry.content = item.summary;
+            created++;
+        } else if (data.entries[uid].content !== item.summary || String(data.entries[uid].key) !== String(item.keywords)) {
+            data.entries[uid].content = item.summary;
+            data.entries[uid].key = item.keywords;
+            data.entries[uid].keysecondary = item.secondaryKeywords;
+            updated++;
         }
-        const result = await response.json();
-        log(`Received summary from API: ${result.summary ? result.summary.substring(0, 100) : '[No summary]' }...`);
-        return result.summary || null;
-    } catch (error) {
-        console.error(`[${MODULE_NAME}] Network/fetch error calling API:`, error);
-        return `[Error: Network/Fetch failed]`;
     }
+    for (const [id, uid] of existing) {
+        if (!wanted.has(id)) {
+            delete data.entries[uid];
+            removed++;
+        }
+    }
+    if (created || updated || removed) {
+        await saveWorldInfo(worldName, data, true);
+    }
+    log(`Lorebook "${worldName}" synced: ${created} created, ${updated} updated, ${removed} removed.`);
 }
 
-// --- Core Summarization Logic (Mostly unchanged, but uses async hash) ---
-async function generateBlocks(chatHistory) {
-    // ... (generateBlocks function remains the same internally, but caller needs await)
-    const settings = extension_settings[MODULE_NAME];
-    const blocks = [];
-    let currentBlock = [];
-    let currentBlockLength = 0;
-
-    log(`Blocking ${chatHistory.length} messages. Block size: ${settings.blockSize} chars.`);
-
-    for (const message of chatHistory) {
-        if (message.is_system) continue;
-        const messageLength = message.mes ? message.mes.length : 0;
-        if (messageLength === 0) continue;
-
-        const blockMsg = { name: message.name, is_user: message.is_user, mes: message.mes };
-
-        if (currentBlock.length > 0 && (currentBlockLength + messageLength > settings.blockSize)) {
-             const blockHash = await getBlockHash(currentBlock); // Await hash calculation
-             blocks.push({ hash: blockHash, details: [...currentBlock] });
-             currentBlock = [blockMsg];
-             currentBlockLength = messageLength;
-        } else {
-             currentBlock.push(blockMsg);
-             currentBlockLength += messageLength;
+// Block entries are keyed on the block anchor and get the characters speaking in it as secondary
+// keywords; higher-level nodes only have their summary text to go on
+function getWorldInfoItems(blocks, blockSummaries, failedBlocks, nodes, settings) {
+    const speakers = [...new Set(blocks.flatMap(block => block.details.map(msg => msg.name)))];
+    if (settings.wiSource === 'nodes') {
+        return nodes
+            .filter(node => !node.failed)
+            .map(node => ({ id: `node:${node.hash}`, summary: node.summary, keywords: extractKeywords(node.summary, speakers, settings), secondaryKeywords: [] }));
+    }
+    return blocks
+        .map((block, i) => ({ block, summary: blockSummaries[i], failed: failedBlocks[i] }))
+        .filter(item => !item.failed)
+        .map(({ block, summary }) => {
+            const names = [...new Set(block.details.filter(msg => !msg.is_user).map(msg => msg.name))];
+            const text = `${formatBlockContent(block.details)}\n${summary}`;
+            return { id: `block:${block.anchor}`, summary, keywords: extractKeywords(text, speakers, settings), secondaryKeywords: names };
+        });
+}
+
+// --- History Cutoff ---
+// Works out how many messages from the start of the chat should be summarized.
+// 'all' keeps the original behaviour (everything but the latest message), the other scopes
+// stop where the messages that are still sent verbatim begin.
+async function getSummarizableMessageCount(chat) {
+    const settings = getSettings();
+    if (settings.historyScope === 'keep_last') {
+        let kept = 0;
+        for (let i = chat.length - 1; i >= 0; i--) {
+            if (chat[i].is_system || !chat[i].mes) continue;
+            if (++kept > settings.keepLastMessages) return i + 1;
+        }
+        return 0;
+    }
+    if (settings.historyScope === 'context') {
+        const budget = getMaxContextSize() - settings.contextReserve;
+        let used = 0;
+        for (let i = chat.length - 1; i >= 0; i--) {
+            if (chat[i].is_system || !chat[i].mes) continue;
+            used += await getTokenCountAsync(`${chat[i].name}: ${chat[i].mes}`);
+            if (used > budget) return i + 1;
         }
+        return 0;
     }
+    return Math.max(0, chat.length - 1);
+}
 
-    if (currentBlock.length > 0) {
-        const blockHash = await getBlockHash(currentBlock); // Await hash calculation
-        blocks.push({ hash: blockHash, details: currentBlock });
+// Blocks are always cut from the start of the chat, so boundaries before the cutoff stay put
+// as it moves forward; only the trailing block grows until it is full.
+async function getHistoryToSummarize(chat) {
+    const count = await getSummarizableMessageCount(chat);
+    if (getSettings().historyScope !== 'all') {
+        log(`History cutoff: summarizing ${count} of ${chat.length} messages.`);
     }
+    return chat.slice(0, count);
+}
 
-    log(`Split history into ${blocks.length} blocks.`);
-    return blocks;
+// --- Group Chat Tracks ---
+// Every member gets a summary track of their own, muted ones too: force-talk and /trigger still draft them
+function getTrackMembers() {
+    const context = getContext();
+    const group = context.groupId ? context.groups.find(g => g.id === context.groupId) : null;
+    if (!group) return [];
+    return group.members
+        .map(avatar => characters.find(character => character.avatar === avatar))
+        .filter(Boolean)
+        .map(character => ({ avatar: character.avatar, name: character.name }));
 }
 
-async function summarizeAllBlocks(blocks) {
-    // ... (summarizeAllBlocks function remains the same, but calls async cache/api)
-    const blockSummaries = [];
-    let hasError = false;
-    for (let i = 0; i < blocks.length; i++) {
-        const block = blocks[i];
-        let summary = await getSummaryFromCache(block.hash); // Await cache lookup
-        if (summary === null) {
-            log(`Cache miss for block ${i + 1}/${blocks.length}. Calling API...`);
-            summary = await callSummarizationApi(block.details); // Await API call
-            if (summary !== null && !summary.startsWith('[Error:')) {
-                await saveSummaryToCache(block.hash, summary); // Await cache save
-            } else {
-                log(`API call failed or returned null for block ${i+1}`);
-                summary = summary || `[Summary generation failed for block ${i + 1}]`;
-                hasError = true;
-            }
-        } else {
-             log(`Cache hit for block ${i + 1}/${blocks.length}.`);
+function isMessageBy(message, member) {
+    if (message.is_user) return false;
+    return message.original_avatar ? message.original_avatar === member.avatar : message.name === member.name;
+}
+
+// Presence heuristic: a member witnessed every message within groupPresenceWindow messages of one of
+// their own. The others are hidden in a copy of the history rather than removed, so indexes and
+// anchors (and with them the saved boundaries) stay those of the full chat, and blocks the member
+// saw in full hash the same as the shared ones.
+function getTrackHistory(history, member, settings) {
+    const presenceWindow = Math.max(0, settings.groupPresenceWindow);
+    const witnessed = new Array(history.length).fill(false);
+    history.forEach((message, i) => {
+        if (!isMessageBy(message, member)) return;
+        for (let j = Math.max(0, i - presenceWindow); j <= Math.min(history.length - 1, i + presenceWindow); j++) {
+            witnessed[j] = true;
         }
-        blockSummaries.push(summary);
+    });
+    return history.map((message, i) => witnessed[i] ? message : { ...message, is_system: true });
+}
+
+async function summarizeTrack(history, member, settings, sourceInfo, signal = null) {
+    const blocks = await generateBlocks(getTrackHistory(history, member, settings));
+    if (blocks.length === 0) {
+        return { name: member.name, summary: '', nodes: [], hasError: false };
+    }
+    const { blockSummaries, failedBlocks, hasError: blockError } = await summarizeAllBlocks(blocks, settings, sourceInfo, signal);
+    let nodes = blocks.map((block, i) => ({ hash: block.hash, summary: blockSummaries[i], failed: failedBlocks[i] }));
+    let hasError = blockError;
+    if (!signal?.aborted && settings.hierarchical) {
+        const hierarchy = await buildSummaryHierarchy(blocks, blockSummaries, failedBlocks, settings, sourceInfo, signal);
+        nodes = hierarchy.nodes;
+        hasError = hasError || hierarchy.hasError;
+    }
+    nodes = nodes.filter(node => !node.failed).map(node => ({ hash: node.hash, summary: node.summary }));
+    const summary = nodes.map(node => node.summary).join('\n\n').trim();
+    return { name: member.name, summary, nodes, hasError };
+}
+
+// One member at a time; blocks shared with the main summary or another track are cache hits
+async function summarizeGroupTracks(history, settings, sourceInfo, signal = null) {
+    const tracks = {};
+    let hasError = false;
+    for (const member of getTrackMembers()) {
+        if (signal?.aborted) break;
+        log(`Summarizing the track of ${member.name}...`);
+        const { hasError: trackError, ...track } = await summarizeTrack(history, member, settings, sourceInfo, signal);
+        tracks[member.avatar] = track;
+        hasError = hasError || trackError;
+    }
+    return { tracks, hasError };
+}
+
+// The track of the member about to speak in a group chat, otherwise the shared summary. A member
+// without a track yet (added since the last run) gets an empty one until the next run: the shared
+// summary would tell them what they were not around for.
+function getInjectedTrack() {
+    const settings = getSettings();
+    const state = getChatState();
+    if (settings.groupTracks && draftedMember && getContext().groupId) {
+        return state.tracks[draftedMember] ?? { summary: '', nodes: [] };
     }
-    return { blockSummaries, hasError };
+    return { summary: state.summary, nodes: state.nodes };
 }
 
-// --- SillyTavern Integration (Unchanged) ---
+// --- SillyTavern Integration ---
 function updatePromptWithSummary(summaryText) {
-    // ... (remains the same)
-    const settings = extension_settings[MODULE_NAME];
+    const settings = getSettings();
     let finalPrompt = '';
     if (summaryText && summaryText.trim() !== '') {
-        finalPrompt = settings.promptTemplate.replace('{{summary_content}}', summaryText.trim());
+        const structured = formatStructuredState(settings.structuredMode ? getChatState().structured : null);
+        finalPrompt = settings.promptTemplate
+            .replace(/{{summary_content}}/g, () => summaryText.trim())
+            .replace(/{{summary_characters}}/g, () => structured.characters)
+            .replace(/{{summary_timeline}}/g, () => structured.timeline)
+            .replace(/{{summary_open_threads}}/g, () => structured.openThreads)
+            .replace(/{{summary_state}}/g, () => structured.state);
     }
     setExtensionPrompt(MODULE_NAME, finalPrompt, settings.position, settings.depth, settings.scan, settings.role);
     log(`Set extension prompt. Position: ${settings.position}, Depth: ${settings.depth}, Role: ${settings.role}, Scan: ${settings.scan}. Content: ${finalPrompt.substring(0,100)}...`);
 }
 
-async function checkAndSummarize() {
-    // ... (remains mostly the same, but calls async generateBlocks/summarizeAllBlocks)
-    const settings = extension_settings[MODULE_NAME];
-    if (!settings.enabled || inApiCall) { return; }
+// Messages that count towards the trigger threshold
+function getMessageCount(chat) {
+    return chat.filter(m => !m.is_system && m.mes).length;
+}
+
+// quiet leaves out the success toast, warnings and errors are still shown
+async function checkAndSummarize(force = false, { quiet = false } = {}) {
+    const settings = getSettings();
+    if (!settings.enabled) { return; }
+    if (inApiCall) {
+        // Pick the change up once the current run is done
+        rerunRequested = true;
+        pendingForce = pendingForce || force;
+        return;
+    }
     const context = getContext();
     const chat = context.chat;
-    const currentMessageCount = chat.filter(m => !m.is_system && m.mes).length;
-    const messagesSinceLastCheck = currentMessageCount - lastMessageCount;
+    const chatId = getCurrentChatId();
+    // Entries saved after a chat switch still belong to the chat the run started in
+    const sourceInfo = getCurrentSourceInfo(settings);
+    const state = getChatState();
+    const currentMessageCount = getMessageCount(chat);
+    const messagesSinceLastCheck = currentMessageCount - state.lastMessageCount;
 
-    if (messagesSinceLastCheck >= settings.triggerThreshold) {
-        log(`Trigger threshold reached (${messagesSinceLastCheck} >= ${settings.triggerThreshold}). Starting summarization.`);
+    if (force || messagesSinceLastCheck >= settings.triggerThreshold) {
+        log(force ? 'Forced summarization.' : `Trigger threshold reached (${messagesSinceLastCheck} >= ${settings.triggerThreshold}). Starting summarization.`);
         inApiCall = true;
+        let finishRun;
+        activeRun = new Promise(resolve => { finishRun = resolve; });
+        summaryAbortController = new AbortController();
+        const signal = summaryAbortController.signal;
         $('#histSumm_forceUpdate').prop('disabled', true).text('Summarizing...');
+        $('#histSumm_cancel').show();
         try {
-            const historyToSummarize = chat.slice(0, -1);
-            const blocks = await generateBlocks(historyToSummarize); // Await
+            const historyToSummarize = await getHistoryToSummarize(chat);
+            const blocks = await getBlocks(historyToSummarize); // Await
+            // The user may have switched chats while blocks were being summarized
+            const isStale = () => getCurrentChatId() !== chatId;
             if (blocks.length > 0) {
-                const { blockSummaries, hasError } = await summarizeAllBlocks(blocks); // Await
-                const combinedSummary = blockSummaries.join('\n\n').trim();
+                const { blockSummaries, failedBlocks, hasError: blockError, cancelled } = await summarizeAllBlocks(blocks, settings, sourceInfo, signal); // Await
+                let nodes = blocks.map((block, i) => ({ hash: block.hash, summary: blockSummaries[i], failed: failedBlocks[i] }));
+                let hasError = blockError;
+                if (!cancelled && settings.hierarchical) {
+                    const hierarchy = await buildSummaryHierarchy(blocks, blockSummaries, failedBlocks, settings, sourceInfo, signal);
+                    nodes = hierarchy.nodes;
+                    hasError = hasError || hierarchy.hasError;
+                }
+                let tracks = {};
+                if (!signal.aborted && settings.groupTracks) {
+                    const groupTracks = await summarizeGroupTracks(historyToSummarize, settings, sourceInfo, signal);
+                    tracks = groupTracks.tracks;
+                    hasError = hasError || groupTracks.hasError;
+                }
+                const summaries = nodes.map(node => node.summary);
+                if (signal.aborted) {
+                    // Keep the previous summary; finished blocks are cached, so the next run picks up from there
+                    log('Summarization cancelled.');
+                    toastr.info('Summarization cancelled. Finished blocks were cached.', 'Summarization Cancelled');
+                    return;
+                }
+                const combinedSummary = summaries.join('\n\n').trim();
+                if (isStale()) {
+                    log('Chat changed during summarization, discarding results.');
+                    return;
+                }
+                updateObsoleteHashes(state, blocks);
+                state.blocks = blocks.map(block => ({ hash: block.hash, start: block.start, end: block.end }));
+                state.failed = blocks.filter((block, i) => failedBlocks[i]).map(block => block.hash);
+                state.tracks = tracks;
+                state.nodes = nodes.filter(node => !node.failed).map(node => ({ hash: node.hash, summary: node.summary }));
+                state.structured = settings.structuredMode ? await buildStructuredState(blocks, failedBlocks) : null;
+                saveBlockBoundaries(blocks);
+                if (settings.wiSync) {
+                    try {
+                        await syncSummariesToWorldInfo(getWorldInfoItems(blocks, blockSummaries, failedBlocks, nodes, settings));
+                    } catch (error) {
+                        console.error(`[${MODULE_NAME}] Failed to sync summaries to World Info:`, error);
+                    }
+                }
                 if (combinedSummary) {
-                    lastSummaryContent = combinedSummary;
-                    updatePromptWithSummary(combinedSummary);
+                    state.summary = combinedSummary;
+                    await injectSummary();
                     if (hasError) { toastr.warning('Some blocks failed to summarize. Check console.', 'Summarization Issue'); }
-                    else { toastr.success(`History summarized into ${blocks.length} blocks.`, 'Summary Updated'); }
+                    else if (!quiet) { toastr.success(`History summarized into ${blocks.length} blocks.`, 'Summary Updated'); }
                 } else {
                     log('No summary content generated.');
+                    state.summary = '';
                     updatePromptWithSummary('');
                 }
-                lastMessageCount = currentMessageCount;
+                state.lastMessageCount = currentMessageCount;
+                saveChatState();
+                await evictCacheEntries();
             } else {
                 log('No blocks generated from history.');
+                if (isStale()) return;
+                updateObsoleteHashes(state, []);
+                state.blocks = [];
+                state.failed = [];
+                state.tracks = {};
+                state.nodes = [];
+                state.structured = null;
+                state.summary = '';
                 updatePromptWithSummary('');
-                lastMessageCount = currentMessageCount;
+                state.lastMessageCount = currentMessageCount;
+                saveChatState();
             }
         } catch (error) {
             console.error(`[${MODULE_NAME}] Error during summarization process:`, error);
             toastr.error('Summarization failed. Check console.', 'Error');
-            updatePromptWithSummary('');
+            if (getCurrentChatId() === chatId) {
+                updatePromptWithSummary('');
+            }
         } finally {
             inApiCall = false;
+            summaryAbortController = null;
+            activeRun = null;
+            finishRun();
             $('#histSumm_forceUpdate').prop('disabled', false).text('Summarize Now');
+            $('#histSumm_cancel').hide();
+            updateProgress('');
+            if (rerunRequested) {
+                rerunRequested = false;
+                scheduleSummarization();
+            }
         }
     } else {
-         updatePromptWithSummary(lastSummaryContent);
+         await injectSummary();
     }
 }
 
 async function forceSummarize() {
-    // ... (remains the same, calls async checkAndSummarize)
     log('Forcing summarization...');
-    lastMessageCount = 0;
-    await checkAndSummarize();
+    await checkAndSummarize(true);
+}
+
+const runScheduledSummarization = debounce(() => {
+    if (!summarizationScheduled) return; // The interceptor already ran it
+    const force = pendingForce;
+    pendingForce = false;
+    summarizationScheduled = false;
+    checkAndSummarize(force);
+}, 200);
+
+// Debounced entry point for event handlers; a forced request is not lost to a later normal one
+function scheduleSummarization(force = false) {
+    pendingForce = pendingForce || force;
+    summarizationScheduled = true;
+    runScheduledSummarization();
+}
+
+// --- Generation Interceptor ---
+function isSummarizationPending() {
+    return summarizationScheduled || !!activeRun;
+}
+
+// Every sent message schedules a check, but it only summarizes when forced or at the trigger threshold
+function isSummarizationDue(settings) {
+    if (activeRun) return true;
+    if (!summarizationScheduled) return false;
+    return pendingForce || getMessageCount(getContext().chat) - getChatState().lastMessageCount >= settings.triggerThreshold;
+}
+
+// New messages are worth a run before the reply once they reach the trigger threshold or complete a
+// block that has no summary yet. The trailing block grows with every message, that alone is not.
+async function hasUnsummarizedBlocks(settings) {
+    const chat = getContext().chat;
+    if (getMessageCount(chat) - getChatState().lastMessageCount >= settings.triggerThreshold) return true;
+    const blocks = await getBlocks(await getHistoryToSummarize(chat));
+    for (const block of blocks.slice(0, -1)) {
+        if (getEditedSummary(block.hash) === null && await getSummaryFromCache(block.hash) === null) return true;
+    }
+    return false;
+}
+
+// Resolves to false when the deadline passes first. The run itself goes on in the background.
+async function waitForRun(run, deadline) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), remaining); });
+    try {
+        return await Promise.race([run.then(() => true), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function warnStaleSummary() {
+    toastr.warning('The block summary is still being updated, this reply uses the previous one.', 'History Summarizer');
+}
+
+// Registered as generate_interceptor in manifest.json; SillyTavern awaits it before building each prompt,
+// after the user's message was added to `chat`. That makes it the place for the relevance selection.
+async function interceptGeneration(chat, contextSize, abort, type) {
+    const settings = getSettings();
+    // Quiet generations include the built-in summarizer's own requests, waiting on them would deadlock
+    if (!settings.enabled || type === 'quiet') return;
+    await settlePendingSummarization(settings);
+    if (settings.injectionMode === 'relevant') {
+        await injectSummary(chat);
+    }
+}
+
+// "wait" lets a pending or running summarization finish, "summarize" also summarizes new messages
+// right away, "warn" only tells the user when a summarization is still pending.
+async function settlePendingSummarization(settings) {
+    if (settings.interceptorMode === 'off') return;
+    if (settings.interceptorMode === 'warn') {
+        if (isSummarizationDue(settings)) warnStaleSummary();
+        return;
+    }
+    const summarizeNow = settings.interceptorMode === 'summarize';
+    if (!isSummarizationPending() && !(summarizeNow && await hasUnsummarizedBlocks(settings))) return;
+
+    const deadline = Date.now() + Math.max(1, settings.interceptorTimeout) * 1000;
+    if (summarizationScheduled && !activeRun) {
+        // Don't leave the debounced check for after the prompt is built
+        const force = pendingForce;
+        pendingForce = false;
+        summarizationScheduled = false;
+        checkAndSummarize(force);
+    }
+    if (activeRun && !(await waitForRun(activeRun, deadline))) {
+        log('Timed out waiting for summarization, generating with the previous summary.');
+        warnStaleSummary();
+        return;
+    }
+    if (summarizeNow && await hasUnsummarizedBlocks(settings)) {
+        log('Summarizing new messages before generating.');
+        // Runs before a reply are part of sending the message, they don't get a toast of their own
+        if (!(await waitForRun(checkAndSummarize(true, { quiet: true }), deadline))) {
+            log('Timed out summarizing, generating with the previous summary.');
+            warnStaleSummary();
+        }
+    }
 }
 
-// --- Event Handlers (Unchanged) ---
+globalThis.histSummGenerateInterceptor = interceptGeneration;
+
+// --- Event Handlers ---
 function onChatChanged() {
-    // ... (remains the same)
-    log('Chat changed, reapplying last known summary to prompt.');
-    updatePromptWithSummary(lastSummaryContent);
+    log('Chat changed, restoring the summary saved for this chat.');
+    currentPreviewState.allBlocks = [];
+    currentPreviewState.blockIndex = 0;
+    currentPreviewState.currentBlockHash = null;
+    draftedMember = null;
+    injectSummary();
+}
+
+// Group generations draft one member at a time; each gets the summary of what they witnessed
+function onGroupMemberDrafted(chId) {
+    const settings = getSettings();
+    draftedMember = characters[chId]?.avatar ?? null;
+    if (!settings.enabled || !settings.groupTracks) return;
+    injectSummary();
 }
 
 function onMessageRendered() {
-    // ... (remains the same)
     log('Message rendered, checking summarization trigger.');
-    debounce(checkAndSummarize, 200)();
+    scheduleSummarization();
+}
+
+// Changes to messages that were already summarized re-run summarization right away. Unchanged
+// blocks are cache hits, so only the touched block goes to the API.
+function onMessageChanged(messageId) {
+    const state = getChatState();
+    const lastSummarized = state.blocks.length > 0 ? state.blocks[state.blocks.length - 1].end : -1;
+    const touchesSummary = Number(messageId) <= lastSummarized;
+    log(`Message ${messageId} changed${touchesSummary ? ' inside the summarized history' : ''}.`);
+    currentPreviewState.allBlocks = [];
+    scheduleSummarization(touchesSummary);
+}
+
+function onMessageDeleted() {
+    // Only the new chat length is reported, so assume the summarized history was affected
+    const touchesSummary = getChatState().blocks.length > 0;
+    log('Message deleted.');
+    currentPreviewState.allBlocks = [];
+    scheduleSummarization(touchesSummary);
+}
+
+// --- Slash Commands and Macros ---
+// Resolves a 1-based block number (negative counts from the end) against the current chat's blocks
+async function getBlockByNumber(number) {
+    const blocks = await getBlocks(await getHistoryToSummarize(getContext().chat));
+    const index = number < 0 ? blocks.length + number : number - 1;
+    return { block: blocks[index] || null, total: blocks.length };
+}
+
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'blocksummarize',
+        callback: async (args) => {
+            await checkAndSummarize(isTrueBoolean(String(args.force ?? 'false')));
+            return getChatState().summary;
+        },
+        returns: 'the combined block summary',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'force',
+                description: 'summarize even if the trigger threshold has not been reached',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        helpString: 'Runs block summarization for the current chat. Without <code>force=true</code> it only runs once the trigger threshold is reached.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'blocksummary',
+        callback: () => getChatState().summary,
+        returns: 'the combined block summary',
+        helpString: 'Returns the combined block summary of the current chat.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'blocksummary-block',
+        callback: async (args, value) => {
+            const number = Number(args.index);
+            if (!Number.isInteger(number) || number === 0) {
+                toastr.warning('index must be a block number (1 is the first block, -1 the last).', 'Block Summary');
+                return '';
+            }
+            const { block, total } = await getBlockByNumber(number);
+            if (!block) {
+                toastr.warning(`Block ${number} does not exist (${total} blocks).`, 'Block Summary');
+                return '';
+            }
+            const text = String(value ?? '').trim();
+            if (text) {
+                await saveManualEdit(block.hash, text);
+                currentPreviewState.allBlocks = [];
+                scheduleSummarization(true);
+                return text;
+            }
+            return getEditedSummary(block.hash) ?? await getSummaryFromCache(block.hash) ?? '';
+        },
+        returns: 'the block summary',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'index',
+                description: 'block number, 1 is the first block and -1 the last',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'new summary text; saved as a manual edit',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        helpString: 'Gets the summary of one block, or sets it when text is given. Example: <code>/blocksummary-block index=2 The party reached the city.</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'blocksummary-clear',
+        callback: async () => {
+            const chatId = getCurrentChatId();
+            if (!chatId) return '';
+            await clearChatFromCache(chatId);
+            const state = getChatState();
+            // Locked edits are the user's curated text, they stay
+            state.edits = Object.fromEntries(Object.entries(state.edits).filter(([, edit]) => edit.locked));
+            // The relevance selection works on the nodes and group members get their tracks, they have to go with the summary
+            Object.assign(state, { summary: '', structured: null, nodes: [], blocks: [], failed: [], tracks: {}, lastMessageCount: 0 });
+            saveChatState();
+            currentPreviewState.allBlocks = [];
+            injectSummary();
+            return '';
+        },
+        helpString: 'Clears the cached block summaries and the injected summary of the current chat. Locked edits are kept.',
+    }));
+
+    MacrosParser.registerMacro('blocksummary', () => getChatState().summary, 'Combined block summary of the current chat');
 }
 
 // --- Initialization and UI Logic (Needs to call async preview/cache functions) ---
@@ -370,66 +2557,324 @@ jQuery(async function () {
     extension_settings[MODULE_NAME] = extension_settings[MODULE_NAME] || {};
     for (const key of Object.keys(defaultSettings)) {
         if (extension_settings[MODULE_NAME][key] === undefined) {
-            extension_settings[MODULE_NAME][key] = defaultSettings[key];
+            extension_settings[MODULE_NAME][key] = structuredClone(defaultSettings[key]);
         }
     }
     // Ensure IndexedDB is opened (doesn't need explicit ensureCacheDir anymore)
     await openDB();
+    await evictCacheEntries();
+
+    // Show only the settings relevant to the selected backend and adapter
+    function updateBackendVisibility() {
+        const settings = getSettings();
+        const isExternal = settings.backend === 'external';
+        const adapter = API_ADAPTERS[settings.apiAdapter] || API_ADAPTERS.block;
+        $('#histSumm_external_settings').toggle(isExternal);
+        $('#histSumm_model_settings').toggle(settings.apiAdapter !== 'block');
+        $('#histSumm_custom_settings').toggle(settings.apiAdapter === 'custom');
+        // The original block contract sends raw block content, every other path renders the prompt
+        $('#histSumm_prompt_settings').toggle(!isExternal || settings.apiAdapter !== 'block');
+        $('#histSumm_structured_settings').toggle(settings.structuredMode);
+        $('#histSumm_chained_settings').toggle(settings.chainedMode);
+        $('#histSumm_structured_prompt_settings').toggle(!isExternal || settings.apiAdapter !== 'block');
+        $('#histSumm_apiUrl').attr('placeholder', adapter.urlHint);
+    }
 
-    // Function to update UI elements based on settings (Unchanged)
+    function updateInjectionVisibility() {
+        const settings = getSettings();
+        $('#histSumm_relevance_settings').toggle(settings.injectionMode === 'relevant');
+        $('#histSumm_embedding_settings').toggle(settings.relevanceScorer === 'embeddings');
+        $('#histSumm_wi_settings').toggle(settings.wiSync);
+        $('#histSumm_wiBookName_settings').toggle(settings.wiTarget === 'named');
+    }
+
+    function updateScopeVisibility() {
+        const settings = getSettings();
+        $('#histSumm_keepLast_settings').toggle(settings.historyScope === 'keep_last');
+        $('#histSumm_context_settings').toggle(settings.historyScope === 'context');
+    }
+
+    function updateInterceptorVisibility() {
+        const settings = getSettings();
+        $('#histSumm_interceptor_settings').toggle(settings.interceptorMode === 'wait' || settings.interceptorMode === 'summarize');
+    }
+
+    function updateStrategyVisibility() {
+        const settings = getSettings();
+        $('#histSumm_blockSize_hint').toggle(settings.blockStrategy !== 'chars');
+        $('#histSumm_blockTokens_settings').toggle(settings.blockStrategy === 'tokens');
+        $('#histSumm_blockMessages_settings').toggle(settings.blockStrategy === 'messages');
+        $('#histSumm_sceneMarker_settings').toggle(settings.blockStrategy === 'scenes');
+    }
+
+    // Function to update UI elements based on settings
     function updateUIFromSettings() {
-        // ... (remains the same)
-        const settings = extension_settings[MODULE_NAME];
+        const settings = getSettings();
         $('#histSumm_enabled').prop('checked', settings.enabled);
+        $('#histSumm_backend').val(settings.backend);
         $('#histSumm_apiUrl').val(settings.apiUrl);
+        $('#histSumm_apiAdapter').val(settings.apiAdapter);
+        $('#histSumm_apiModel').val(settings.adapterModels[settings.apiAdapter] || '');
+        $('#histSumm_apiKey').val(settings.apiKey);
+        $('#histSumm_apiKeyHeader').val(settings.apiKeyHeader);
+        $('#histSumm_customRequestTemplate').val(settings.customRequestTemplate);
+        $('#histSumm_customResponsePath').val(settings.customResponsePath);
+        $('#histSumm_summaryPrompt').val(settings.summaryPrompt);
+        $('#histSumm_structuredMode').prop('checked', settings.structuredMode);
+        $('#histSumm_structuredPrompt').val(settings.structuredPrompt);
+        $('#histSumm_structuredTimelineLimit').val(settings.structuredTimelineLimit);
+        $('#histSumm_chainedMode').prop('checked', settings.chainedMode);
+        $('#histSumm_chainedCount').val(settings.chainedCount);
+        updateBackendVisibility();
         $('#histSumm_blockSize').val(settings.blockSize);
         $('#histSumm_blockSize_value').text(settings.blockSize);
+        $('#histSumm_blockStrategy').val(settings.blockStrategy);
+        $('#histSumm_blockTokens').val(settings.blockTokens);
+        $('#histSumm_blockMessages').val(settings.blockMessages);
+        $('#histSumm_sceneMarker').val(settings.sceneMarker);
+        $('#histSumm_splitLongMessages').prop('checked', settings.splitLongMessages);
+        updateStrategyVisibility();
+        $('#histSumm_boundaryMode').val(settings.boundaryMode);
         $('#histSumm_summarySize').val(settings.summarySize);
         $('#histSumm_summarySize_value').text(settings.summarySize);
         $('#histSumm_triggerThreshold').val(settings.triggerThreshold);
         $('#histSumm_triggerThreshold_value').text(settings.triggerThreshold);
+        $('#histSumm_interceptorMode').val(settings.interceptorMode);
+        $('#histSumm_interceptorTimeout').val(settings.interceptorTimeout);
+        updateInterceptorVisibility();
+        $('#histSumm_concurrency').val(settings.concurrency);
+        $('#histSumm_concurrency_value').text(settings.concurrency);
+        $('#histSumm_requestTimeout').val(settings.requestTimeout);
+        $('#histSumm_maxRetries').val(settings.maxRetries);
+        $('#histSumm_historyScope').val(settings.historyScope);
+        $('#histSumm_keepLastMessages').val(settings.keepLastMessages);
+        $('#histSumm_contextReserve').val(settings.contextReserve);
+        updateScopeVisibility();
+        $('#histSumm_hierarchical').prop('checked', settings.hierarchical);
+        $('#histSumm_hierarchyThreshold').val(settings.hierarchyThreshold);
+        $('#histSumm_hierarchyThreshold_value').text(settings.hierarchyThreshold);
+        $('#histSumm_hierarchyGroupSize').val(settings.hierarchyGroupSize);
+        $('#histSumm_hierarchyGroupSize_value').text(settings.hierarchyGroupSize);
+        $('#histSumm_recentBlocksToKeep').val(settings.recentBlocksToKeep);
+        $('#histSumm_recentBlocksToKeep_value').text(settings.recentBlocksToKeep);
+        $('#histSumm_groupTracks').prop('checked', settings.groupTracks);
+        $('#histSumm_groupPresenceWindow').val(settings.groupPresenceWindow);
         $('#histSumm_promptTemplate').val(settings.promptTemplate);
         $(`input[name="position"][value="${settings.position}"]`).prop('checked', true);
         $('#histSumm_depth').val(settings.depth);
         $('#histSumm_role').val(settings.role);
         $('#histSumm_scan').prop('checked', settings.scan);
-        updatePromptWithSummary(lastSummaryContent);
+        $('#histSumm_wiSync').prop('checked', settings.wiSync);
+        $('#histSumm_wiTarget').val(settings.wiTarget);
+        $('#histSumm_wiBookName').val(settings.wiBookName);
+        $('#histSumm_wiSource').val(settings.wiSource);
+        $('#histSumm_wiMaxKeywords').val(settings.wiMaxKeywords);
+        $('#histSumm_injectionMode').val(settings.injectionMode);
+        $('#histSumm_relevanceScorer').val(settings.relevanceScorer);
+        $('#histSumm_relevanceQueryMessages').val(settings.relevanceQueryMessages);
+        $('#histSumm_relevanceBudget').val(settings.relevanceBudget);
+        $('#histSumm_relevanceBudgetUnit').val(settings.relevanceBudgetUnit);
+        $('#histSumm_relevanceRecentCount').val(settings.relevanceRecentCount);
+        $('#histSumm_embeddingUrl').val(settings.embeddingUrl);
+        $('#histSumm_embeddingModel').val(settings.embeddingModel);
+        $('#histSumm_embeddingApiKey').val(settings.embeddingApiKey);
+        updateInjectionVisibility();
+        $('#histSumm_cacheMaxEntries').val(settings.cacheMaxEntries);
+        $('#histSumm_cacheMaxAgeDays').val(settings.cacheMaxAgeDays);
+        $('#histSumm_importMergeRule').val(settings.importMergeRule);
     }
 
-    // Function to handle settings change and save (Unchanged)
+    // Function to handle settings change and save
     function handleSettingChange() {
-        // ... (remains the same)
-        const settings = extension_settings[MODULE_NAME];
+        // Edit a copy of the effective settings, saveSettingValues decides where each change goes
+        const previous = getSettings();
+        const settings = getSettings();
+        settings.adapterModels = { ...settings.adapterModels };
         settings.enabled = $('#histSumm_enabled').prop('checked');
+        settings.backend = $('#histSumm_backend').val();
         settings.apiUrl = $('#histSumm_apiUrl').val();
+        const apiAdapter = $('#histSumm_apiAdapter').val();
+        if (apiAdapter === settings.apiAdapter) {
+            settings.adapterModels[apiAdapter] = $('#histSumm_apiModel').val();
+        } else {
+            // Switching adapters: show the model saved for the new one instead of copying the old value over
+            settings.apiAdapter = apiAdapter;
+            $('#histSumm_apiModel').val(settings.adapterModels[apiAdapter] || '');
+        }
+        settings.apiKey = $('#histSumm_apiKey').val();
+        settings.apiKeyHeader = $('#histSumm_apiKeyHeader').val();
+        settings.customRequestTemplate = $('#histSumm_customRequestTemplate').val();
+        settings.customResponsePath = $('#histSumm_customResponsePath').val();
+        settings.summaryPrompt = $('#histSumm_summaryPrompt').val();
+        settings.structuredMode = $('#histSumm_structuredMode').prop('checked');
+        settings.structuredPrompt = $('#histSumm_structuredPrompt').val();
+        settings.structuredTimelineLimit = Number($('#histSumm_structuredTimelineLimit').val());
+        settings.chainedMode = $('#histSumm_chainedMode').prop('checked');
+        settings.chainedCount = Number($('#histSumm_chainedCount').val());
         settings.blockSize = Number($('#histSumm_blockSize').val());
+        settings.blockStrategy = $('#histSumm_blockStrategy').val();
+        settings.blockTokens = Number($('#histSumm_blockTokens').val());
+        settings.blockMessages = Number($('#histSumm_blockMessages').val());
+        settings.sceneMarker = $('#histSumm_sceneMarker').val();
+        settings.splitLongMessages = $('#histSumm_splitLongMessages').prop('checked');
+        settings.boundaryMode = $('#histSumm_boundaryMode').val();
         settings.summarySize = Number($('#histSumm_summarySize').val());
         settings.triggerThreshold = Number($('#histSumm_triggerThreshold').val());
+        settings.interceptorMode = $('#histSumm_interceptorMode').val();
+        settings.interceptorTimeout = Number($('#histSumm_interceptorTimeout').val());
+        settings.concurrency = Number($('#histSumm_concurrency').val());
+        settings.requestTimeout = Number($('#histSumm_requestTimeout').val());
+        settings.maxRetries = Number($('#histSumm_maxRetries').val());
+        settings.historyScope = $('#histSumm_historyScope').val();
+        settings.keepLastMessages = Number($('#histSumm_keepLastMessages').val());
+        settings.contextReserve = Number($('#histSumm_contextReserve').val());
+        settings.hierarchical = $('#histSumm_hierarchical').prop('checked');
+        settings.hierarchyThreshold = Number($('#histSumm_hierarchyThreshold').val());
+        settings.hierarchyGroupSize = Number($('#histSumm_hierarchyGroupSize').val());
+        settings.recentBlocksToKeep = Number($('#histSumm_recentBlocksToKeep').val());
+        settings.groupTracks = $('#histSumm_groupTracks').prop('checked');
+        settings.groupPresenceWindow = Number($('#histSumm_groupPresenceWindow').val());
         settings.promptTemplate = $('#histSumm_promptTemplate').val();
         settings.position = Number($('input[name="position"]:checked').val());
         settings.depth = Number($('#histSumm_depth').val());
         settings.role = Number($('#histSumm_role').val());
         settings.scan = $('#histSumm_scan').prop('checked');
+        settings.wiSync = $('#histSumm_wiSync').prop('checked');
+        settings.wiTarget = $('#histSumm_wiTarget').val();
+        settings.wiBookName = $('#histSumm_wiBookName').val();
+        settings.wiSource = $('#histSumm_wiSource').val();
+        settings.wiMaxKeywords = Number($('#histSumm_wiMaxKeywords').val());
+        settings.injectionMode = $('#histSumm_injectionMode').val();
+        settings.relevanceScorer = $('#histSumm_relevanceScorer').val();
+        settings.relevanceQueryMessages = Number($('#histSumm_relevanceQueryMessages').val());
+        settings.relevanceBudget = Number($('#histSumm_relevanceBudget').val());
+        settings.relevanceBudgetUnit = $('#histSumm_relevanceBudgetUnit').val();
+        settings.relevanceRecentCount = Number($('#histSumm_relevanceRecentCount').val());
+        settings.embeddingUrl = $('#histSumm_embeddingUrl').val();
+        settings.embeddingModel = $('#histSumm_embeddingModel').val();
+        settings.embeddingApiKey = $('#histSumm_embeddingApiKey').val();
+        settings.cacheMaxEntries = Number($('#histSumm_cacheMaxEntries').val());
+        settings.cacheMaxAgeDays = Number($('#histSumm_cacheMaxAgeDays').val());
+        settings.importMergeRule = $('#histSumm_importMergeRule').val();
+        saveSettingValues(previous, settings);
         $('#histSumm_blockSize_value').text(settings.blockSize);
         $('#histSumm_summarySize_value').text(settings.summarySize);
         $('#histSumm_triggerThreshold_value').text(settings.triggerThreshold);
+        $('#histSumm_concurrency_value').text(settings.concurrency);
+        $('#histSumm_hierarchyThreshold_value').text(settings.hierarchyThreshold);
+        $('#histSumm_hierarchyGroupSize_value').text(settings.hierarchyGroupSize);
+        $('#histSumm_recentBlocksToKeep_value').text(settings.recentBlocksToKeep);
+        updateBackendVisibility();
+        updateScopeVisibility();
+        updateInterceptorVisibility();
+        updateStrategyVisibility();
+        updateInjectionVisibility();
+        updateProfileUI();
         saveSettingsDebounced();
-        updatePromptWithSummary(lastSummaryContent);
+        injectSummary();
         log('Settings updated and saved.');
     }
 
+    // --- Profiles ---
+    function fillProfileSelect(select, names, emptyLabel, value) {
+        select.empty();
+        if (emptyLabel) {
+            $('<option></option>').val('').text(emptyLabel).appendTo(select);
+        }
+        names.forEach(name => $('<option></option>').val(name).text(name).appendTo(select));
+        select.val(value);
+    }
+
+    function getSettingLabel(key) {
+        const label = $(`#histSumm_settings label[for="histSumm_${key}"]`).first().text().replace(/:[\s\S]*$/, '').trim();
+        return label || key;
+    }
+
+    function updateProfileUI() {
+        const base = extension_settings[MODULE_NAME];
+        const names = Object.keys(base.profiles).sort();
+        const active = getActiveProfile();
+        const chatId = getCurrentChatId();
+        const bindingKey = getProfileBindingKey();
+        const selected = $('#histSumm_profileSelect').val();
+        fillProfileSelect($('#histSumm_profileSelect'), names, null, names.includes(selected) ? selected : (active?.name ?? names[0] ?? ''));
+        fillProfileSelect($('#histSumm_chatProfile'), names, 'Character or global default', chatId ? (getChatState().profile ?? '') : '');
+        $('#histSumm_chatProfile').prop('disabled', !chatId);
+        fillProfileSelect($('#histSumm_characterProfile'), names, 'Global settings', bindingKey ? (base.characterProfiles[bindingKey] ?? '') : '');
+        $('#histSumm_characterProfile').prop('disabled', !bindingKey);
+        $('#histSumm_profileLoad, #histSumm_profileDelete').prop('disabled', names.length === 0);
+
+        const boundTo = active?.source === 'chat' ? 'this chat' : (getContext().groupId ? 'this group' : 'this character');
+        $('#histSumm_profile_status').text(active ? `Active profile: ${active.name} (bound to ${boundTo})` : 'Active profile: none, using the global settings');
+        const list = $('#histSumm_profile_overrides').empty();
+        const overrides = getProfileOverrides();
+        if (overrides.length > 0) {
+            $('<small></small>').text('Differs from the global settings:').appendTo(list);
+        }
+        for (const key of overrides) {
+            const row = $('<div class="histSumm_cache_row"></div>');
+            $('<span class="histSumm_cache_chat"></span>').text(getSettingLabel(key)).attr('title', key).appendTo(row);
+            $('<button class="menu_button histSumm_profile_reset" title="Use the global value in this profile">Use Global</button>').data('key', key).appendTo(row);
+            list.append(row);
+        }
+    }
+
+    // The effective settings changed as a whole: show them and re-inject, so the prompt moves to the
+    // new position, depth and role right away, as handleSettingChange does
+    function applyProfileChange() {
+        updateUIFromSettings();
+        updateProfileUI();
+        saveSettingsDebounced();
+        injectSummary();
+    }
+
+    function saveProfileAs() {
+        const name = prompt('Profile name:', $('#histSumm_profileSelect').val() || '')?.trim();
+        if (!name) return;
+        if (extension_settings[MODULE_NAME].profiles[name] && !confirm(`Replace the profile "${name}" with the current settings?`)) return;
+        saveProfile(name);
+        updateProfileUI();
+        $('#histSumm_profileSelect').val(name);
+        saveSettingsDebounced();
+        toastr.success(`Saved the current settings as "${name}".`, 'Settings Profiles');
+    }
+
+    function loadSelectedProfile() {
+        const name = $('#histSumm_profileSelect').val();
+        if (!name || !confirm(`Copy the values of "${name}" into the global settings?`)) return;
+        const changed = loadProfileIntoGlobals(name);
+        if (changed === null) return;
+        applyProfileChange();
+        const active = getActiveProfile();
+        if (changed.length === 0) {
+            toastr.info(`The global settings already have the values of "${name}".`, 'Settings Profiles');
+        } else if (active) {
+            // The form shows the active profile, so the change would not be visible there
+            toastr.info(`Changed in the global settings: ${changed.map(getSettingLabel).join(', ')}. This chat keeps using the profile "${active.name}".`, 'Settings Profiles');
+        } else {
+            toastr.success(`Loaded "${name}" into the global settings.`, 'Settings Profiles');
+        }
+    }
+
+    function deleteSelectedProfile() {
+        const name = $('#histSumm_profileSelect').val();
+        if (!name || !confirm(`Delete the profile "${name}"? Characters and chats bound to it go back to the global settings.`)) return;
+        deleteProfile(name);
+        applyProfileChange();
+    }
+
     // --- Preview Panel Logic (Needs async calls) ---
     async function loadPreview(blockIndex) {
-        // ... (needs to call async generateBlocks and cache functions)
         const context = getContext();
-        const chat = context.chat.slice();
+        const chat = await getHistoryToSummarize(context.chat);
         if (chat.length === 0) {
              $('#histSumm_preview_error').text('No chat history available for preview.');
              return;
         }
 
-        if (currentPreviewState.allBlocks.length === 0) {
-             currentPreviewState.allBlocks = await generateBlocks(chat); // Await
+        const rebuilt = currentPreviewState.allBlocks.length === 0;
+        if (rebuilt) {
+             currentPreviewState.allBlocks = await getBlocks(chat); // Await
              currentPreviewState.totalBlocks = currentPreviewState.allBlocks.length;
         }
 
@@ -442,23 +2887,90 @@ jQuery(async function () {
         const currentIdx = currentPreviewState.blockIndex;
         const targetBlock = blocks[currentIdx];
         currentPreviewState.currentBlockHash = targetBlock.hash; // Hash is already calculated in generateBlocks
+        if (rebuilt) {
+            await renderTimeline();
+        } else {
+            $('#histSumm_timeline .histSumm_timeline_row').each((i, row) => $(row).toggleClass('histSumm_selected', i === currentIdx));
+        }
 
         // Update UI
         $('#histSumm_blockIndicator').text(`Block ${currentIdx + 1} / ${totalBlocks}`);
         $('#histSumm_prevBlock').prop('disabled', currentIdx === 0);
         $('#histSumm_nextBlock').prop('disabled', currentIdx === totalBlocks - 1);
         $('#histSumm_preview_error').text('');
+        $('#histSumm_blockInfo').text(describeBlock(targetBlock));
 
-        const blockContent = targetBlock.details.map(msg => `${msg.name}: ${msg.mes}`).join('\n');
+        const blockContent = formatBlockContent(targetBlock.details);
         $('#histSumm_blockContentPreview').val(blockContent);
 
-        let summary = await getSummaryFromCache(targetBlock.hash); // Await cache lookup
+        let summary = getEditedSummary(targetBlock.hash) ?? await getSummaryFromCache(targetBlock.hash); // Await cache lookup
         if (summary === null) {
             summary = "[Summary not cached. Edit and save to create, or run summarization.]";
         }
         $('#histSumm_summaryPreview').val(summary);
         $('#histSumm_edit_status').text('');
         $('#histSumm_saveSummaryEdit').prop('disabled', false);
+        await loadVersionControls(targetBlock.hash);
+    }
+
+    function formatBlockRange(block) {
+        return block.start === block.end ? `Message ${block.start + 1}` : `Messages ${block.start + 1}–${block.end + 1}`;
+    }
+
+    function describeBlock(block) {
+        const strategy = BLOCK_STRATEGIES[block.strategy] || BLOCK_STRATEGIES.chars;
+        const limit = strategy.getLimit(getSettings());
+        const size = Number.isFinite(limit) ? `${block.size} / ${limit} ${strategy.unit}` : `${block.size} ${strategy.unit}`;
+        return `${formatBlockRange(block)} · ${strategy.name}: ${size}${block.split ? ' · part of a split message' : ''}`;
+    }
+
+    // --- Block Timeline ---
+    const BLOCK_STATUS_LABELS = {
+        cached: 'Cached',
+        missing: 'Missing',
+        failed: 'Failed',
+        edited: 'Edited',
+        locked: 'Locked',
+        stale: 'Stale settings',
+    };
+
+    async function createTimelineRow(index, settings) {
+        const block = currentPreviewState.allBlocks[index];
+        const { status, length } = await getBlockStatus(block, settings);
+        const row = $('<div class="histSumm_timeline_row"></div>').data('index', index)
+            .toggleClass('histSumm_selected', index === currentPreviewState.blockIndex);
+        $('<span class="histSumm_timeline_range"></span>').text(`#${index + 1} · ${formatBlockRange(block)}`).appendTo(row);
+        $('<span class="histSumm_status"></span>').addClass(`histSumm_status_${status}`).text(BLOCK_STATUS_LABELS[status]).appendTo(row);
+        $('<span class="histSumm_timeline_length"></span>').text(length ? `${length} chars` : '–').appendTo(row);
+        $('<button class="menu_button fa-solid fa-location-crosshairs histSumm_jump" title="Jump to the first message"></button>').data('mesId', block.start).appendTo(row);
+        return row;
+    }
+
+    async function renderTimeline() {
+        const settings = getSettings();
+        const rows = [];
+        for (let i = 0; i < currentPreviewState.allBlocks.length; i++) {
+            rows.push(await createTimelineRow(i, settings));
+        }
+        $('#histSumm_timeline').empty().append(rows);
+    }
+
+    async function refreshTimelineRow(index) {
+        if (!currentPreviewState.allBlocks[index]) return;
+        const row = await createTimelineRow(index, getSettings());
+        $('#histSumm_timeline .histSumm_timeline_row').eq(index).replaceWith(row);
+    }
+
+    // Older messages may not be rendered yet, SillyTavern only shows the most recent ones at first
+    function jumpToMessage(mesId) {
+        const message = $(`#chat .mes[mesid="${mesId}"]`);
+        if (message.length === 0) {
+            toastr.info(`Message ${mesId + 1} is not loaded in the chat. Show more messages and try again.`, 'Block Timeline');
+            return;
+        }
+        message[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        message.addClass('histSumm_highlight');
+        setTimeout(() => message.removeClass('histSumm_highlight'), 2000);
     }
 
     // Needs to be async now
@@ -474,15 +2986,142 @@ jQuery(async function () {
          const newSummary = $('#histSumm_summaryPreview').val();
          if (!hash) { /* ... error handling ... */ return; }
          $('#histSumm_edit_status').text('Saving...').css('color', '');
-         await saveSummaryToCache(hash, newSummary); // Await cache save
+         await saveManualEdit(hash, newSummary); // Await cache save
+         await loadVersionControls(hash);
+         await refreshTimelineRow(currentPreviewState.blockIndex);
          $('#histSumm_edit_status').text('Saved!').css('color', 'lime');
          setTimeout(() => $('#histSumm_edit_status').text(''), 2000);
     }
 
+    async function loadVersionControls(hash) {
+        const versions = await getSummaryVersions(hash);
+        const select = $('#histSumm_summaryVersions').empty();
+        // Newest first
+        versions.map((version, index) => ({ version, index })).reverse().forEach(({ version, index }) => {
+            const date = new Date(version.createdAt).toLocaleString();
+            $('<option></option>').val(index).text(`#${index + 1} ${version.source} – ${date}`).appendTo(select);
+        });
+        select.prop('disabled', versions.length < 2);
+        $('#histSumm_revertSummary').prop('disabled', versions.length < 2);
+        const locked = await isSummaryLocked(hash);
+        $('#histSumm_lockSummary').prop('checked', locked);
+        $('#histSumm_regenerateBlock').prop('disabled', locked);
+    }
+
+    async function regenerateCurrentBlock() {
+        const index = currentPreviewState.blockIndex;
+        const block = currentPreviewState.allBlocks[index];
+        if (!block) return;
+        $('#histSumm_regenerateBlock').prop('disabled', true);
+        $('#histSumm_edit_status').text('Regenerating...').css('color', '');
+        const result = await regenerateBlockSummary(block, currentPreviewState.allBlocks.slice(0, index));
+        if (result.ok) {
+            $('#histSumm_summaryPreview').val(result.summary);
+            $('#histSumm_edit_status').text('Regenerated!').css('color', 'lime');
+            // Rebuild the injected summary; every other block is a cache hit
+            scheduleSummarization(true);
+        } else if (result.reason === 'locked') {
+            $('#histSumm_edit_status').text('Summary is locked.').css('color', 'red');
+        } else {
+            $('#histSumm_edit_status').text('Regeneration failed!').css('color', 'red');
+        }
+        await loadVersionControls(block.hash);
+        await refreshTimelineRow(index);
+        setTimeout(() => $('#histSumm_edit_status').text(''), 3000);
+    }
+
+    async function revertCurrentSummary() {
+        const hash = currentPreviewState.currentBlockHash;
+        const versionIndex = Number($('#histSumm_summaryVersions').val());
+        if (!hash || Number.isNaN(versionIndex)) return;
+        if (await revertSummaryVersion(hash, versionIndex)) {
+            await loadPreview(currentPreviewState.blockIndex);
+            await refreshTimelineRow(currentPreviewState.blockIndex);
+            $('#histSumm_edit_status').text(`Reverted to #${versionIndex + 1}`).css('color', 'lime');
+            setTimeout(() => $('#histSumm_edit_status').text(''), 2000);
+            scheduleSummarization(true);
+        }
+    }
+
+    async function toggleCurrentLock() {
+        const hash = currentPreviewState.currentBlockHash;
+        if (!hash) return;
+        await setSummaryLocked(hash, $('#histSumm_lockSummary').prop('checked'));
+        await loadVersionControls(hash);
+        await refreshTimelineRow(currentPreviewState.blockIndex);
+    }
+
+    // --- Cache Panel Logic ---
+    async function refreshCachePanel() {
+        const stats = await getCacheStats();
+        const obsolete = stats.obsolete > 0 ? `, ${stats.obsolete} obsolete in this chat` : '';
+        $('#histSumm_cache_stats').text(`${stats.entries} entries, ~${formatBytes(stats.bytes)}${obsolete}`);
+        const list = $('#histSumm_cache_chats').empty();
+        const currentChatId = getCurrentChatId();
+        const chats = [...stats.chats.entries()].sort((a, b) => b[1].lastUsedAt - a[1].lastUsedAt);
+        for (const [chatId, chat] of chats) {
+            const row = $('<div class="histSumm_cache_row"></div>');
+            const label = chatId ? `${chat.character ? `${chat.character}: ` : ''}${chatId}` : '(no chat recorded)';
+            $('<span class="histSumm_cache_chat"></span>').text(label).toggleClass('histSumm_current', chatId === currentChatId).appendTo(row);
+            $('<span class="histSumm_cache_count"></span>').text(`${chat.entries} · ${formatBytes(chat.bytes)}`).appendTo(row);
+            if (chatId) {
+                $('<button class="menu_button histSumm_cache_delete" title="Delete this chat\'s entries">Delete</button>').data('chatId', chatId).appendTo(row);
+            }
+            list.append(row);
+        }
+    }
+
+    async function exportSummaries(scope) {
+        const chatId = getCurrentChatId();
+        if (scope === 'chat' && !chatId) {
+            toastr.warning('No chat is open.', 'Summary Cache');
+            return;
+        }
+        const bundle = await buildExportBundle(scope);
+        const date = new Date().toISOString().slice(0, 10);
+        const name = scope === 'chat' ? String(chatId).replace(/[^\w\-@. ]+/g, '_') : 'all';
+        download(JSON.stringify(bundle, null, 2), `block-summaries-${name}-${date}.json`, 'application/json');
+        toastr.success(`Exported ${bundle.entries.length} summaries.`, 'Summary Cache');
+    }
+
+    async function importSummaries(file) {
+        const settings = getSettings();
+        try {
+            const bundle = JSON.parse(await file.text());
+            if (bundle.scope === 'chat' && bundle.chatId && bundle.chatId !== getCurrentChatId()
+                && !confirm(`This bundle was exported from "${bundle.chatId}". Import its edits and boundaries into the open chat?`)) {
+                return;
+            }
+            const result = await importBundle(bundle, settings.importMergeRule);
+            toastr.success(`${result.added} added, ${result.updated} updated, ${result.skipped} kept as they were${bundle.scope === 'chat' ? `, ${result.edits} chat edits` : ''}.`, 'Summaries Imported');
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Import failed:`, error);
+            toastr.error(`Import failed: ${error.message}`, 'Error');
+            return;
+        }
+        await refreshCachePanel();
+        await refreshPreview();
+    }
+
+    async function deleteChatEntries(chatId) {
+        if (!confirm(`Delete the cached block summaries of "${chatId}"? Entries shared with other chats are kept for them.`)) return;
+        const removed = await clearChatFromCache(chatId);
+        if (removed === null) {
+            toastr.error('Failed to delete cache entries. Check console.', 'Error');
+        } else {
+            toastr.success(`Deleted ${removed} cache entries.`, 'Cache Updated');
+        }
+        await refreshCachePanel();
+        if (chatId === getCurrentChatId()) {
+            await refreshPreview();
+        }
+    }
+
     // --- Attach Event Listeners ---
     log('Attaching UI listeners...');
     $('#histSumm_settings').on('change input', 'input, textarea, select', debounce(handleSettingChange, 300));
     $('#histSumm_forceUpdate').on('click', forceSummarize); // forceSummarize is now async
+    $('#histSumm_cancel').on('click', cancelSummarization);
     $('#histSumm_clearCache').on('click', async () => { // Make listener async
         if (confirm("Are you sure you want to clear the block summary cache? This cannot be undone.")) {
             $('#histSumm_cache_status').text('Clearing...');
@@ -490,8 +3129,10 @@ jQuery(async function () {
             if (success) {
                 $('#histSumm_cache_status').text('Cache Cleared!').css('color', 'lime');
                 await refreshPreview(); // Await preview refresh
-                lastSummaryContent = '';
-                updatePromptWithSummary('');
+                await refreshCachePanel();
+                Object.assign(getChatState(), { summary: '', structured: null, nodes: [], blocks: [], failed: [], tracks: {} });
+                saveChatState();
+                injectSummary();
             } else {
                 $('#histSumm_cache_status').text('Clear Failed!').css('color', 'red');
             }
@@ -499,11 +3140,64 @@ jQuery(async function () {
         }
     });
 
+    // Cache Panel Listeners
+    $('#histSumm_refreshCache').on('click', refreshCachePanel);
+    $('#histSumm_clearChatCache').on('click', async () => {
+        const chatId = getCurrentChatId();
+        if (!chatId) {
+            toastr.warning('No chat is open.', 'Summary Cache');
+            return;
+        }
+        await deleteChatEntries(chatId);
+    });
+    $('#histSumm_cache_chats').on('click', '.histSumm_cache_delete', async function () {
+        await deleteChatEntries($(this).data('chatId'));
+    });
+    $('#histSumm_exportAll').on('click', () => exportSummaries('all'));
+    $('#histSumm_exportChat').on('click', () => exportSummaries('chat'));
+    $('#histSumm_importButton').on('click', () => $('#histSumm_importFile').trigger('click'));
+    $('#histSumm_importFile').on('change', async function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) await importSummaries(file);
+    });
+    $('#histSumm_evictCache').on('click', async () => {
+        const evicted = await evictCacheEntries();
+        toastr.info(evicted > 0 ? `Evicted ${evicted} cache entries.` : 'Nothing to evict with the current limits.', 'Summary Cache');
+        await refreshCachePanel();
+    });
+
+    // Profile listeners
+    $('#histSumm_chatProfile').on('change', function () {
+        if (bindChatProfile($(this).val())) applyProfileChange();
+    });
+    $('#histSumm_characterProfile').on('change', function () {
+        if (bindCharacterProfile($(this).val())) applyProfileChange();
+    });
+    $('#histSumm_profileSave').on('click', saveProfileAs);
+    $('#histSumm_profileLoad').on('click', loadSelectedProfile);
+    $('#histSumm_profileDelete').on('click', deleteSelectedProfile);
+    $('#histSumm_profile_overrides').on('click', '.histSumm_profile_reset', function () {
+        resetProfileOverride($(this).data('key'));
+        applyProfileChange();
+    });
+
     // Preview Panel Listeners (need async handlers)
     $('#histSumm_prevBlock').on('click', async () => await loadPreview(currentPreviewState.blockIndex - 1)); // Await
     $('#histSumm_nextBlock').on('click', async () => await loadPreview(currentPreviewState.blockIndex + 1)); // Await
     $('#histSumm_refreshPreview').on('click', refreshPreview); // refreshPreview is now async
     $('#histSumm_saveSummaryEdit').on('click', saveEditedSummary); // saveEditedSummary is now async
+    $('#histSumm_regenerateBlock').on('click', regenerateCurrentBlock);
+    $('#histSumm_revertSummary').on('click', revertCurrentSummary);
+    $('#histSumm_lockSummary').on('change', toggleCurrentLock);
+    $('#histSumm_timeline').on('click', '.histSumm_timeline_row', function () {
+        loadPreview($(this).data('index'));
+    });
+    $('#histSumm_timeline').on('click', '.histSumm_jump', function (event) {
+        // The row would open the block in the editor as well
+        event.stopPropagation();
+        jumpToMessage($(this).data('mesId'));
+    });
 
     // Drawer toggles (needs async preview refresh)
     $('#histSumm_settings').on('click', '.inline-drawer-toggle', async function() { // Make handler async
@@ -514,14 +3208,31 @@ jQuery(async function () {
         if (content.has('#histSumm_blockIndicator').length > 0 && icon.hasClass('down')) {
              await refreshPreview(); // Await preview refresh
         }
+        if (content.has('#histSumm_cache_stats').length > 0 && icon.hasClass('down')) {
+             await refreshCachePanel();
+        }
     });
 
     // Set initial UI state
     updateUIFromSettings();
+    updateProfileUI();
+    injectSummary();
 
-    // Register core event listeners (Unchanged)
+    // Register core event listeners
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    // Another chat may bring another profile with it
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        updateUIFromSettings();
+        updateProfileUI();
+    });
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onMessageRendered);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, onMessageRendered);
+    eventSource.on(event_types.MESSAGE_EDITED, onMessageChanged);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageChanged);
+    eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, onGroupMemberDrafted);
+
+    registerSlashCommands();
 
     log('History Summarizer Extension loaded successfully (using Browser APIs).');
 });